@@ -35,8 +35,8 @@ fi
 echo -e "${YELLOW}Checking extension files...${NC}"
 
 # Required files check
-REQUIRED_FILES=("metadata.json" "extension.js")
-OPTIONAL_FILES=("prefs.js" "stylesheet.css" "schemas/")
+REQUIRED_FILES=("metadata.json" "extension.js" "common.js")
+OPTIONAL_FILES=("prefs.js" "stylesheet.css" "schemas/" "icons/")
 
 for file in "${REQUIRED_FILES[@]}"; do
     if [[ ! -f "$file" ]]; then
@@ -130,12 +130,13 @@ echo -e "${YELLOW}Creating release zip file...${NC}"
 FILES_TO_ZIP=()
 
 # Always include required files
-FILES_TO_ZIP+=("extension.js" "metadata.json")
+FILES_TO_ZIP+=("extension.js" "common.js" "metadata.json")
 
 # Include optional files if they exist
 [[ -f "prefs.js" ]] && FILES_TO_ZIP+=("prefs.js")
 [[ -f "stylesheet.css" ]] && FILES_TO_ZIP+=("stylesheet.css")
 [[ -d "schemas" ]] && FILES_TO_ZIP+=("schemas/")
+[[ -d "icons" ]] && FILES_TO_ZIP+=("icons/")
 
 # Create the zip
 if zip -r "$ZIP_NAME" "${FILES_TO_ZIP[@]}" \
@@ -0,0 +1,136 @@
+/**
+ * Keyboard Informer - Shared helpers
+ * Used by both the extension and the preferences so the preview matches the shell
+ * Copyright (C) 2025 Tomáš Mark
+ */
+
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const LOG_TAG = 'KBD-Informer:';
+
+// Short modifier names substituted for {name} in the OSD template
+export const MODIFIER_LABELS = {
+    shift: 'Shift',
+    caps: 'Caps',
+    control: 'Ctrl',
+    alt: 'Alt',
+    num: 'Num',
+    scroll: 'Scroll',
+    super: 'Super',
+    altgr: 'AltGr',
+};
+
+/**
+ * Builds the CSS declarations for a modifier's configured colors
+ * @param {{foreground: string, background: string, badge: string}} item
+ */
+export function modifierStyle(item) {
+    const rules = [];
+    if (item.foreground) rules.push(`color: ${item.foreground};`);
+    if (item.background) rules.push(`background-color: ${item.background};`);
+    if (item.badge) rules.push(`border: 1px solid ${item.badge};`);
+    if (item.background || item.badge) rules.push('border-radius: 4px; padding: 0 4px;');
+    return rules.join(' ');
+}
+
+// Link paths already prepared by symbolicIconPath(), keyed by cache directory and icon path
+const symbolicLinks = new Map();
+
+/**
+ * Path of the "-symbolic.svg" link for an SVG file, or null when the icon needs none
+ */
+export function symbolicLinkPath(iconPath, cacheDir) {
+    if (!iconPath.startsWith('/') || !iconPath.endsWith('.svg') || iconPath.endsWith('-symbolic.svg')) {
+        return null;
+    }
+
+    const name = GLib.compute_checksum_for_string(GLib.ChecksumType.MD5, iconPath, -1);
+    return GLib.build_filenamev([cacheDir, `${name}-symbolic.svg`]);
+}
+
+/**
+ * Returns a path St and GTK draw as a symbolic icon, recolored to the text color like theme icons.
+ * SVG files get a "-symbolic.svg" link in cacheDir; anything else is returned unchanged.
+ */
+export function symbolicIconPath(iconPath, cacheDir) {
+    const linkPath = symbolicLinkPath(iconPath, cacheDir);
+    if (!linkPath) {
+        return iconPath;
+    }
+
+    const cacheKey = `${cacheDir}\n${iconPath}`;
+    if (symbolicLinks.has(cacheKey)) {
+        return symbolicLinks.get(cacheKey);
+    }
+
+    const link = Gio.File.new_for_path(linkPath);
+    try {
+        if (!link.query_exists(null)) {
+            GLib.mkdir_with_parents(cacheDir, 0o755);
+            link.make_symbolic_link(iconPath, null);
+        }
+    } catch (error) {
+        console.warn(`${LOG_TAG} Cannot prepare symbolic icon for ${iconPath}: ${error.message}`);
+        return iconPath;
+    }
+
+    symbolicLinks.set(cacheKey, link.get_path());
+    return link.get_path();
+}
+
+/**
+ * Deletes, in the background, the links in cacheDir that no configured icon uses any more
+ * @param {Set<string>} inUse - symbolicLinkPath() of every configured icon
+ */
+export function pruneSymbolicIcons(cacheDir, inUse) {
+    const dir = Gio.File.new_for_path(cacheDir);
+    dir.enumerate_children_async('standard::name', Gio.FileQueryInfoFlags.NOFOLLOW_SYMLINKS,
+        GLib.PRIORITY_LOW, null, (_dir, result) => {
+            let enumerator;
+            try {
+                enumerator = dir.enumerate_children_finish(result);
+            } catch (error) {
+                return; // No icon has been recolored yet
+            }
+
+            const next = () => enumerator.next_files_async(32, GLib.PRIORITY_LOW, null, (_enumerator, res) => {
+                let infos = [];
+                try {
+                    infos = enumerator.next_files_finish(res);
+                } catch (error) {
+                    console.warn(`${LOG_TAG} Cannot list ${cacheDir}: ${error.message}`);
+                }
+
+                if (infos.length === 0) {
+                    enumerator.close_async(GLib.PRIORITY_LOW, null, () => {});
+                    return;
+                }
+
+                for (const info of infos) {
+                    const link = dir.get_child(info.get_name());
+                    const path = link.get_path();
+                    if (inUse.has(path)) continue;
+
+                    for (const [key, value] of symbolicLinks) {
+                        if (value === path) symbolicLinks.delete(key);
+                    }
+                    link.delete_async(GLib.PRIORITY_LOW, null, () => {});
+                }
+                next();
+            });
+            next();
+        });
+}
+
+/**
+ * Splits an OSD template into text and {symbol} segments,
+ * substituting {name} and {state} in the text segments
+ */
+export function parseTemplate(template, values) {
+    return template.split(/(\{symbol\})/)
+        .map(part => part === '{symbol}'
+            ? { symbol: true }
+            : { text: part.replace(/\{name\}/g, () => values.name).replace(/\{state\}/g, () => values.state) })
+        .filter(segment => segment.symbol || segment.text.length > 0);
+}
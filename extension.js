@@ -10,24 +10,35 @@ import Clutter from 'gi://Clutter';
 import GObject from 'gi://GObject';
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
+import GdkPixbuf from 'gi://GdkPixbuf';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
+import Atspi from 'gi://Atspi';
 import * as Config from 'resource:///org/gnome/shell/misc/config.js';
 import GIRepository from 'gi://GIRepository';
 import * as ExtensionUtils from 'resource:///org/gnome/shell/misc/extensionUtils.js';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as Layout from 'resource:///org/gnome/shell/ui/layout.js';
-import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
+import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import * as Keyboard from 'resource:///org/gnome/shell/ui/status/keyboard.js';
+import { Extension, gettext as _ } from 'resource:///org/gnome/shell/extensions/extension.js';
+
+import {
+    MODIFIER_LABELS, modifierStyle, parseTemplate, pruneSymbolicIcons, symbolicIconPath, symbolicLinkPath,
+} from './common.js';
 
 // Constants
 const LOG_TAG = 'KMS-Ext:';
-const UPDATE_INTERVAL_MS = 200;
-const OSD_HIDE_TIMEOUT_MS = 1500;
-const OSD_FADE_TIME_MS = 100;
-const SHOW_OSD_ICON = true; // Set to true to show icon in OSD
+const UPDATE_INTERVAL_MS = 200; // Modifier polling interval while the user is active
+const ACTIVITY_TIMEOUT_MS = 1000; // Input-free time after which polling pauses
 
 // Debug logging
 console.debug(`${LOG_TAG} Shell version: ${Config.PACKAGE_VERSION}`);
 
 // Modifier masks mapping
+// Canonical layout used throughout the extension: MOD2 is Num Lock, MOD3 is Scroll Lock
+// and MOD5 is AltGr. KeymapResolver translates the real xkb modifier bits into it.
 const MODIFIER_MASKS = {
     SHIFT: Clutter.ModifierType.SHIFT_MASK,
     LOCK: Clutter.ModifierType.LOCK_MASK,
@@ -39,6 +50,246 @@ const MODIFIER_MASKS = {
     MOD5: Clutter.ModifierType.MOD5_MASK,
 };
 
+// Modifiers in panel order: settings key prefix, canonical mask, OSD label,
+// menu title and lock key flag
+const MODIFIERS = [
+    { name: 'shift',   mask: MODIFIER_MASKS.SHIFT,   label: MODIFIER_LABELS.shift,   title: 'Shift',       lock: false },
+    { name: 'caps',    mask: MODIFIER_MASKS.LOCK,    label: MODIFIER_LABELS.caps,    title: 'Caps Lock',   lock: true },
+    { name: 'control', mask: MODIFIER_MASKS.CONTROL, label: MODIFIER_LABELS.control, title: 'Control',     lock: false },
+    { name: 'alt',     mask: MODIFIER_MASKS.MOD1,    label: MODIFIER_LABELS.alt,     title: 'Alt',         lock: false },
+    { name: 'num',     mask: MODIFIER_MASKS.MOD2,    label: MODIFIER_LABELS.num,     title: 'Num Lock',    lock: true },
+    { name: 'scroll',  mask: MODIFIER_MASKS.MOD3,    label: MODIFIER_LABELS.scroll,  title: 'Scroll Lock', lock: true },
+    { name: 'super',   mask: MODIFIER_MASKS.MOD4,    label: MODIFIER_LABELS.super,   title: 'Super',       lock: false },
+    { name: 'altgr',   mask: MODIFIER_MASKS.MOD5,    label: MODIFIER_LABELS.altgr,   title: 'AltGr',       lock: false },
+];
+
+// Keys released through the virtual keyboard to clear a stuck modifier
+const MODIFIER_KEYVALS_BY_NAME = {
+    shift: [Clutter.KEY_Shift_L, Clutter.KEY_Shift_R],
+    control: [Clutter.KEY_Control_L, Clutter.KEY_Control_R],
+    alt: [Clutter.KEY_Alt_L, Clutter.KEY_Alt_R],
+    super: [Clutter.KEY_Super_L, Clutter.KEY_Super_R],
+    altgr: [Clutter.KEY_ISO_Level3_Shift],
+};
+
+// Keys sent through the virtual keyboard to toggle lock modifiers
+const LOCK_KEYVALS = {
+    caps: Clutter.KEY_Caps_Lock,
+    num: Clutter.KEY_Num_Lock,
+    scroll: Clutter.KEY_Scroll_Lock,
+};
+
+// OSD anchors as fractions of the monitor size (0 = start, 0.5 = center, 1 = end)
+const OSD_POSITIONS = {
+    'top-left':     { x: 0,   y: 0 },
+    'top':          { x: 0.5, y: 0 },
+    'top-right':    { x: 1,   y: 0 },
+    'left':         { x: 0,   y: 0.5 },
+    'center':       { x: 0.5, y: 0.5 },
+    'right':        { x: 1,   y: 0.5 },
+    'bottom-left':  { x: 0,   y: 1 },
+    'bottom':       { x: 0.5, y: 1 },
+    'bottom-right': { x: 1,   y: 1 },
+};
+
+function anchorToActorAlign(fraction) {
+    if (fraction === 0) return Clutter.ActorAlign.START;
+    if (fraction === 1) return Clutter.ActorAlign.END;
+    return Clutter.ActorAlign.CENTER;
+}
+
+// Changes closer together than this are combined into a single OSD summary
+const OSD_AGGREGATE_WINDOW_MS = 500;
+
+// Duration of the fade when a modifier appears in or disappears from the panel
+const PANEL_FADE_TIME_MS = 150;
+
+// Opacity of inactive modifiers in the persistent panel modes; dims whatever color the panel uses
+const PANEL_INACTIVE_OPACITY = 89;
+
+/**
+ * IconCache - Keeps GIcons for icon paths so they are not re-created on every update
+ */
+class IconCache {
+    constructor() {
+        this._icons = new Map();
+    }
+
+    lookup(iconPath) {
+        // Handles file paths, URIs and themed icon names alike
+        let gicon = this._icons.get(iconPath);
+        if (!gicon) {
+            gicon = Gio.icon_new_for_string(iconPath);
+            this._icons.set(iconPath, gicon);
+        }
+        return gicon;
+    }
+
+    /**
+     * Drops icons whose path is no longer configured
+     */
+    retain(iconPaths) {
+        for (const iconPath of [...this._icons.keys()]) {
+            if (!iconPaths.has(iconPath)) {
+                this._icons.delete(iconPath);
+            }
+        }
+    }
+
+    clear() {
+        this._icons.clear();
+    }
+}
+
+/**
+ * Points an St.Icon at a file path, URI or themed icon name
+ */
+function setIconFromPath(icon, iconPath) {
+    // If it's a file path or URI, load via gicon; otherwise treat as icon_name
+    const isPathLike = iconPath.startsWith('/') || iconPath.includes('://');
+    if (isPathLike) {
+        icon.gicon = Gio.icon_new_for_string(iconPath);
+    } else {
+        icon.gicon = null;
+        icon.icon_name = iconPath;
+    }
+}
+
+/**
+ * IconValidator - Checks once per path, in the background, whether a file path, URI or
+ * themed icon name can be loaded, so a broken icon falls back to text instead of an
+ * "image-missing" square. onChanged is called when an icon turns out to be broken.
+ */
+class IconValidator {
+    constructor() {
+        this._results = new Map(); // iconPath -> true, false, or null while the check runs
+        this._cancellable = new Gio.Cancellable();
+        this._iconTheme = new St.IconTheme();
+        this.onChanged = null;
+    }
+
+    /**
+     * @returns {boolean} false once the icon is known not to load; unchecked icons are used meanwhile
+     */
+    isUsable(iconPath) {
+        if (!this._results.has(iconPath)) {
+            this._results.set(iconPath, null);
+            this._check(iconPath);
+        }
+        return this._results.get(iconPath) !== false;
+    }
+
+    _check(iconPath) {
+        const isPathLike = iconPath.startsWith('/') || iconPath.includes('://');
+        if (!isPathLike) {
+            // Answered right away, so isUsable() already sees the result
+            this._setResult(iconPath, this._iconTheme.has_icon(iconPath), false);
+            return;
+        }
+
+        const file = iconPath.startsWith('/') ? Gio.File.new_for_path(iconPath) : Gio.File.new_for_uri(iconPath);
+        const path = file.get_path();
+        if (!path) {
+            // Non-local URIs cannot be sniffed cheaply; trust them if they exist
+            file.query_info_async('standard::type', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_LOW,
+                this._cancellable, (source, result) => {
+                    try {
+                        source.query_info_finish(result);
+                        this._setResult(iconPath, true);
+                    } catch (e) {
+                        if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                            this._setResult(iconPath, false);
+                        }
+                    }
+                });
+            return;
+        }
+
+        GdkPixbuf.Pixbuf.get_file_info_async(path, this._cancellable, (_source, result) => {
+            try {
+                const [format] = GdkPixbuf.Pixbuf.get_file_info_finish(result);
+                this._setResult(iconPath, format !== null);
+            } catch (e) {
+                if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+                    this._setResult(iconPath, false);
+                }
+            }
+        });
+    }
+
+    /**
+     * Checks icons found broken again on their next use, e.g. after the file was fixed in place
+     */
+    forgetFailures() {
+        for (const [iconPath, usable] of this._results) {
+            if (usable === false) this._results.delete(iconPath);
+        }
+    }
+
+    _setResult(iconPath, usable, notify = true) {
+        this._results.set(iconPath, usable);
+        if (usable) return;
+
+        console.warn(`${LOG_TAG} Cannot load icon ${iconPath}, falling back`);
+        if (notify && this.onChanged) {
+            this.onChanged();
+        }
+    }
+
+    destroy() {
+        this._cancellable.cancel();
+        this._results.clear();
+        this._iconTheme = null;
+        this.onChanged = null;
+    }
+}
+
+/**
+ * Scale of a monitor in device pixels per logical pixel, covering both the
+ * global UI scale and per-monitor scales on mixed-DPI setups
+ */
+function displayScale(monitorIndex) {
+    const themeScale = St.ThemeContext.get_for_stage(global.stage).scale_factor;
+    const monitorScale = monitorIndex >= 0 ? global.display.get_monitor_scale(monitorIndex) : 1;
+    return Math.max(themeScale, monitorScale);
+}
+
+// Resolved variants per scale and icon path; cleared whenever the settings are reloaded
+const scaledIconPaths = new Map();
+
+/**
+ * Picks a "name@2x.png" style variant of a raster icon for the given scale, if one exists.
+ * SVGs and themed icons are rendered at the right resolution by St already.
+ * The file system is only consulted once per icon and scale.
+ */
+function iconPathForScale(iconPath, scale) {
+    const match = iconPath.match(/^(\/.+)\.(png|jpe?g|webp)$/i);
+    if (!match || scale <= 1) return iconPath;
+
+    const cacheKey = `${scale}\n${iconPath}`;
+    if (!scaledIconPaths.has(cacheKey)) {
+        let resolved = iconPath;
+        for (let factor = Math.ceil(scale); factor > 1; factor--) {
+            const candidate = `${match[1]}@${factor}x.${match[2]}`;
+            if (GLib.file_test(candidate, GLib.FileTest.EXISTS)) {
+                resolved = candidate;
+                break;
+            }
+        }
+        scaledIconPaths.set(cacheKey, resolved);
+    }
+    return scaledIconPaths.get(cacheKey);
+}
+
+/**
+ * Creates an St.Icon for a file path, URI or themed icon name
+ */
+function createIcon(iconPath, iconSize) {
+    const icon = new St.Icon({ icon_size: iconSize });
+    setIconFromPath(icon, iconPath);
+    return icon;
+}
+
 /**
  * ModifierStateTracker - Tracks and manages keyboard modifier states
  */
@@ -48,13 +299,66 @@ class ModifierStateTracker {
     }
 
     reset() {
-        this.currentState = 0;
+        // null until the first update so the initial sync raises no notifications
+        this.currentState = null;
         this.previousState = null;
+
+        // Sticky Keys latched and locked modifiers, kept apart from the xkb state
+        this.latchedState = 0;
+        this.lockedState = 0;
+        this.previousLatchedState = 0;
+        this.previousLockedState = 0;
+
+        // When each held non-lock modifier went down, for stuck-modifier detection
+        this._activeSince = new Map();
+        this._lastKeyActivity = 0;
     }
 
     updateState(newState) {
         this.previousState = this.currentState;
         this.currentState = newState;
+
+        const now = GLib.get_monotonic_time() / 1000;
+        for (const modifier of MODIFIERS) {
+            if (modifier.lock) continue;
+
+            if (!this.isModifierActive(modifier.mask)) {
+                this._activeSince.delete(modifier.name);
+            } else if (!this._activeSince.has(modifier.name)) {
+                this._activeSince.set(modifier.name, now);
+            }
+        }
+    }
+
+    /**
+     * Records a key press or release; a modifier held while typing is not stuck
+     */
+    noteKeyActivity() {
+        this._lastKeyActivity = GLib.get_monotonic_time() / 1000;
+    }
+
+    /**
+     * Milliseconds until the first held non-lock modifier reaches timeoutMs without
+     * key activity; 0 when one already has, null when none is held
+     */
+    getTimeUntilStuck(timeoutMs) {
+        if (this._activeSince.size === 0) return null;
+
+        const now = GLib.get_monotonic_time() / 1000;
+        const remaining = [...this._activeSince.values()].map(since =>
+            Math.max(since, this._lastKeyActivity) + timeoutMs - now);
+        return Math.max(0, Math.min(...remaining));
+    }
+
+    /**
+     * Non-lock modifiers held for at least timeoutMs without key activity
+     */
+    getStuckModifiers(timeoutMs) {
+        const now = GLib.get_monotonic_time() / 1000;
+        return MODIFIERS.filter(modifier => {
+            const since = this._activeSince.get(modifier.name);
+            return since !== undefined && now - Math.max(since, this._lastKeyActivity) >= timeoutMs;
+        });
     }
 
     hasStateChanged() {
@@ -65,6 +369,32 @@ class ModifierStateTracker {
         return (this.currentState & mask) !== 0;
     }
 
+    updateStickyState(latched, locked) {
+        this.previousLatchedState = this.latchedState;
+        this.previousLockedState = this.lockedState;
+        this.latchedState = latched;
+        this.lockedState = locked;
+    }
+
+    /**
+     * @returns {'locked'|'latched'|null} Sticky Keys state of a modifier
+     */
+    getStickyState(mask) {
+        if (this.lockedState & mask) return 'locked';
+        if (this.latchedState & mask) return 'latched';
+        return null;
+    }
+
+    /**
+     * @returns {'locked'|'latched'|null} the new Sticky Keys state if the modifier became latched or locked
+     */
+    getStickyChangeInfo(mask) {
+        const previous = (this.previousLockedState & mask) ? 'locked'
+            : (this.previousLatchedState & mask) ? 'latched' : null;
+        const current = this.getStickyState(mask);
+        return current !== previous ? current : null;
+    }
+
     getModifierChangeInfo(mask) {
         if (this.previousState === null) return null;
 
@@ -89,19 +419,60 @@ class SettingsManager {
         this.symbols = {
             modifiers: []
         };
+        this.osd = {};
+        this.panel = {};
+        this.theme = {};
+        this.inputSource = {};
+        this.screencast = {};
+    }
+
+    get settings() {
+        return this._settings;
     }
 
     initialize() {
         this._settings = this._extension.getSettings();
+        this._iconValidator = new IconValidator();
         this.loadSettings();
 
-        this._settingsChangedId = this._settings.connect('changed', () => {
+        // key is the changed extension setting, or null for changes from elsewhere
+        const reload = (key = null) => {
             this.loadSettings();
             // Notify extension of settings change
             if (this.onSettingsChanged) {
-                this.onSettingsChanged();
+                this.onSettingsChanged(key);
             }
+        };
+        this._settingsChangedId = this._settings.connect('changed', (_settings, key) => {
+            // Picking an icon again is how a repaired file gets another chance
+            this._iconValidator.forgetFailures();
+            reload(key);
         });
+
+        // Icons found broken in the background fall back on the next load
+        this._iconValidator.onChanged = () => reload();
+
+        // Icon sizes follow the text scaling factor like the fonts do
+        this._interfaceSettings = new Gio.Settings({ schema_id: 'org.gnome.desktop.interface' });
+        this._textScalingChangedId = this._interfaceSettings.connect('changed::text-scaling-factor', () => reload());
+
+        // Light and dark icons follow the shell style, which older shells do not expose
+        const stSettings = St.Settings.get();
+        const signals = St.SystemColorScheme
+            ? ['notify::color-scheme', 'notify::high-contrast']
+            : ['notify::high-contrast'];
+        this._styleChangedIds = signals.map(signal => stSettings.connect(signal, () => reload()));
+    }
+
+    /**
+     * Whether the shell uses its dark style and high contrast
+     */
+    _getShellStyle() {
+        const stSettings = St.Settings.get();
+        return {
+            dark: !St.SystemColorScheme || stSettings.color_scheme !== St.SystemColorScheme.PREFER_LIGHT,
+            highContrast: stSettings.high_contrast,
+        };
     }
 
     loadSettings() {
@@ -110,17 +481,134 @@ class SettingsManager {
             return;
         }
 
-        // Each modifier object: { mask, symbol, iconPath, useIcon }
-        this.symbols.modifiers = [
-            { mask: MODIFIER_MASKS.SHIFT,  symbol: this._settings.get_string('shift-symbol'),  iconPath: this._settings.get_string('shift-icon-path'),  useIcon: this._settings.get_boolean('shift-use-icon') },
-            { mask: MODIFIER_MASKS.LOCK,   symbol: this._settings.get_string('caps-symbol'),   iconPath: this._settings.get_string('caps-icon-path'),   useIcon: this._settings.get_boolean('caps-use-icon') },
-            { mask: MODIFIER_MASKS.CONTROL, symbol: this._settings.get_string('control-symbol'), iconPath: this._settings.get_string('control-icon-path'), useIcon: this._settings.get_boolean('control-use-icon') },
-            { mask: MODIFIER_MASKS.MOD1,   symbol: this._settings.get_string('alt-symbol'),    iconPath: this._settings.get_string('alt-icon-path'),    useIcon: this._settings.get_boolean('alt-use-icon') },
-            { mask: MODIFIER_MASKS.MOD2,   symbol: this._settings.get_string('num-symbol'),    iconPath: this._settings.get_string('num-icon-path'),    useIcon: this._settings.get_boolean('num-use-icon') },
-            { mask: MODIFIER_MASKS.MOD3,   symbol: this._settings.get_string('scroll-symbol'), iconPath: this._settings.get_string('scroll-icon-path'), useIcon: this._settings.get_boolean('scroll-use-icon') },
-            { mask: MODIFIER_MASKS.MOD4,   symbol: this._settings.get_string('super-symbol'),  iconPath: this._settings.get_string('super-icon-path'),  useIcon: this._settings.get_boolean('super-use-icon') },
-            { mask: MODIFIER_MASKS.MOD5,   symbol: this._settings.get_string('altgr-symbol'),  iconPath: this._settings.get_string('altgr-icon-path'),  useIcon: this._settings.get_boolean('altgr-use-icon') },
-        ];
+        // Icon files may have changed along with the settings
+        scaledIconPaths.clear();
+
+        const style = this._getShellStyle();
+        const recolor = style.highContrast || this._settings.get_boolean('recolor-icons');
+        const styleSuffix = style.dark ? 'dark' : 'light';
+
+        // Each modifier object: { name, mask, label, symbol, iconPath, useIcon, visible, colors, osd }
+        this.symbols.modifiers = this._getOrderedModifiers().map(modifier => ({
+            ...modifier,
+            symbol: this._settings.get_string(`${modifier.name}-symbol`),
+            iconPath: this._getIcon(`${modifier.name}-icon-path-${styleSuffix}`, recolor) ||
+                this._getIcon(`${modifier.name}-icon-path`, recolor),
+            useIcon: this._settings.get_boolean(`${modifier.name}-use-icon`),
+            visible: this._settings.get_boolean(`${modifier.name}-visible`),
+            foreground: this._settings.get_string(`${modifier.name}-foreground`),
+            background: this._settings.get_string(`${modifier.name}-background`),
+            badge: this._settings.get_string(`${modifier.name}-badge`),
+            osd: this._settings.get_string(`${modifier.name}-osd`),
+            osdIconOn: modifier.lock ? this._getIcon(`${modifier.name}-osd-icon-on`, recolor) : '',
+            osdIconOff: modifier.lock ? this._getIcon(`${modifier.name}-osd-icon-off`, recolor) : '',
+        }));
+
+        // Per-source labels and icons are keyed by '<type>:<id>', e.g. 'xkb:ir'
+        const sourceIcons = this._settings.get_value('input-source-icons').deep_unpack();
+        this.inputSource = {
+            show: this._settings.get_boolean('input-source-show'),
+            osd: this._settings.get_boolean('input-source-osd'),
+            symbols: this._settings.get_value('input-source-symbols').deep_unpack(),
+            icons: Object.fromEntries(Object.entries(sourceIcons).map(([id, iconPath]) =>
+                [id, this._prepareIcon(iconPath, recolor)])),
+        };
+
+        this.screencast = {
+            enabled: this._settings.get_boolean('screencast-mode'),
+            history: this._settings.get_int('screencast-history'),
+            hidePasswords: this._settings.get_boolean('screencast-hide-passwords'),
+        };
+
+        this.theme = {
+            stylesheet: this._settings.get_string('user-stylesheet'),
+        };
+
+        const textScaling = this._interfaceSettings?.get_double('text-scaling-factor') ?? 1;
+        const iconSize = key => Math.round(this._settings.get_int(key) * textScaling);
+
+        this.panel = {
+            box: this._settings.get_string('panel-box'),
+            index: this._settings.get_int('panel-index'),
+            mode: this._settings.get_string('panel-mode'),
+            iconSize: iconSize('panel-icon-size'),
+            fontScale: this._settings.get_double('panel-font-scale'),
+            spacing: this._settings.get_int('panel-spacing'),
+        };
+
+        this.osd = {
+            position: this._settings.get_string('osd-position'),
+            monitor: this._settings.get_string('osd-monitor'),
+            offsetX: this._settings.get_int('osd-offset-x'),
+            offsetY: this._settings.get_int('osd-offset-y'),
+            hideTimeout: this._settings.get_int('osd-hide-timeout'),
+            fadeTime: this._settings.get_int('osd-fade-time'),
+            scale: this._settings.get_double('osd-scale'),
+            showIcon: this._settings.get_boolean('osd-show-icon'),
+            iconSize: iconSize('osd-icon-size'),
+            symbolSize: iconSize('osd-symbol-size'),
+            fontScale: this._settings.get_double('osd-font-scale'),
+            spacing: this._settings.get_int('osd-spacing'),
+            template: this._settings.get_string('osd-template'),
+            stateOn: this._settings.get_string('osd-state-on'),
+            stateOff: this._settings.get_string('osd-state-off'),
+            stateLatched: this._settings.get_string('osd-state-latched'),
+            stateLocked: this._settings.get_string('osd-state-locked'),
+            sticky: this._settings.get_boolean('sticky-keys-osd'),
+            capsLockWarning: this._settings.get_boolean('caps-lock-warning'),
+            stuckTimeout: this._settings.get_int('stuck-modifier-timeout') * 1000,
+        };
+
+        this._pruneSymbolicIcons();
+    }
+
+    /**
+     * Removes cached recoloring links of icons that are no longer configured in any key,
+     * including the other style's icons and those only the preferences preview uses
+     */
+    _pruneSymbolicIcons() {
+        const iconPaths = [
+            ...MODIFIERS.flatMap(modifier => ['', '-light', '-dark'].map(suffix => `${modifier.name}-icon-path${suffix}`)),
+            ...MODIFIERS.filter(modifier => modifier.lock)
+                .flatMap(modifier => [`${modifier.name}-osd-icon-on`, `${modifier.name}-osd-icon-off`]),
+        ].map(key => this._settings.get_string(key))
+            .concat(Object.values(this._settings.get_value('input-source-icons').deep_unpack()));
+
+        const cacheDir = this._getSymbolicIconsDir();
+        const inUse = new Set(iconPaths.map(iconPath => symbolicLinkPath(iconPath, cacheDir)).filter(Boolean));
+        const key = [...inUse].sort().join('\n');
+        if (key === this._symbolicLinksKey) return;
+
+        this._symbolicLinksKey = key;
+        pruneSymbolicIcons(cacheDir, inUse);
+    }
+
+    _getSymbolicIconsDir() {
+        return GLib.build_filenamev([GLib.get_user_cache_dir(), this._extension.uuid, 'symbolic-icons']);
+    }
+
+    /**
+     * Returns the icon stored in key, or '' when it cannot be loaded so callers use their fallback
+     */
+    _getIcon(key, recolor) {
+        return this._prepareIcon(this._settings.get_string(key), recolor);
+    }
+
+    _prepareIcon(iconPath, recolor) {
+        if (!iconPath || !this._iconValidator.isUsable(iconPath)) return '';
+
+        if (!recolor) return iconPath;
+        return symbolicIconPath(iconPath, this._getSymbolicIconsDir());
+    }
+
+    _getOrderedModifiers() {
+        // Follow the user-defined order; unknown names are skipped and
+        // modifiers missing from the list keep their default position at the end
+        const order = this._settings.get_strv('panel-order');
+        const ordered = order
+            .map(name => MODIFIERS.find(modifier => modifier.name === name))
+            .filter((modifier, i, list) => modifier && list.indexOf(modifier) === i);
+        return ordered.concat(MODIFIERS.filter(modifier => !ordered.includes(modifier)));
     }
 
     destroy() {
@@ -128,6 +616,19 @@ class SettingsManager {
             this._settings.disconnect(this._settingsChangedId);
             this._settingsChangedId = null;
         }
+        if (this._interfaceSettings && this._textScalingChangedId) {
+            this._interfaceSettings.disconnect(this._textScalingChangedId);
+            this._textScalingChangedId = null;
+        }
+        this._interfaceSettings = null;
+        if (this._styleChangedIds) {
+            this._styleChangedIds.forEach(id => St.Settings.get().disconnect(id));
+            this._styleChangedIds = null;
+        }
+        if (this._iconValidator) {
+            this._iconValidator.destroy();
+            this._iconValidator = null;
+        }
         this._settings = null;
     }
 }
@@ -137,7 +638,7 @@ class SettingsManager {
  */
 const ModifiersOSD = GObject.registerClass(
     class ModifiersOSD extends Clutter.Actor {
-        _init(monitorIndex) {
+        _init(monitorIndex, config) {
             super._init({
                 x_expand: true,
                 y_expand: true,
@@ -147,37 +648,36 @@ const ModifiersOSD = GObject.registerClass(
 
             this._monitorIndex = monitorIndex;
             this._hideTimeoutId = 0;
+            this._hideDeadline = 0;
+            this._config = config;
 
             this._setupUI();
+            this.applyConfig(config);
             this._reset();
             Main.uiGroup.add_child(this);
         }
 
         _setupUI() {
-            // Add monitor constraint
-            const constraint = new Layout.MonitorConstraint({ index: this._monitorIndex });
+            // Stay inside the work area so top anchors keep clear of the top bar
+            const constraint = new Layout.MonitorConstraint({ index: this._monitorIndex, work_area: true });
             this.add_constraint(constraint);
 
             // Main container with OSD styling
             this._container = new St.BoxLayout({
                 style_class: 'osd-window',
-                style: 'margin-bottom: 8em;',
                 x_align: Clutter.ActorAlign.CENTER,
                 y_align: Clutter.ActorAlign.CENTER,
                 x_expand: true,
-                vertical: !SHOW_OSD_ICON, // Vertical layout when no icon, horizontal when icon is shown
             });
             this.add_child(this._container);
 
-            // Icon (conditionally shown based on SHOW_OSD_ICON constant)
-            if (SHOW_OSD_ICON) {
-                this._icon = new St.Icon({
-                    icon_name: 'input-keyboard-symbolic',
-                    icon_size: 24,
-                    y_expand: true,
-                });
-                this._container.add_child(this._icon);
-            }
+            // Icon (visibility follows the osd-show-icon setting)
+            this._icon = new St.Icon({
+                icon_name: 'input-keyboard-symbolic',
+                icon_size: 24,
+                y_expand: true,
+            });
+            this._container.add_child(this._icon);
 
             // Text content container
             // Use vertical: true for Gnome 46+ compatibility (Ubuntu 24.04)
@@ -190,34 +690,179 @@ const ModifiersOSD = GObject.registerClass(
             });
             this._container.add_child(this._textContainer);
 
-            // Title label
-            this._titleLabel = new St.Label({
-                style: 'font-size: 1.1em; text-align: center;',
+            // Summary of the changed modifiers, one entry per modifier
+            this._summaryBox = new St.BoxLayout({
+                style_class: 'kbd-informer-osd-summary',
                 x_align: Clutter.ActorAlign.CENTER,
                 y_align: Clutter.ActorAlign.CENTER,
                 x_expand: true,
             });
-            this._textContainer.add_child(this._titleLabel);
+            this._textContainer.add_child(this._summaryBox);
+        }
 
-            // Status label
-            this._statusLabel = new St.Label({
-                style: 'font-size: 1.0em; text-align: center;',
-                x_align: Clutter.ActorAlign.CENTER,
+        _createEntry(change) {
+            const entry = new St.BoxLayout({
+                style_class: 'kbd-informer-osd-entry',
                 y_align: Clutter.ActorAlign.CENTER,
-                x_expand: true,
             });
-            this._textContainer.add_child(this._statusLabel);
+
+            const { item, isActive } = change;
+            entry.add_style_class_name(`kbd-informer-${item.name}`);
+            entry.style = modifierStyle(item);
+
+            const segments = parseTemplate(this._config.template, {
+                name: item.label,
+                state: change.state ?? (isActive ? this._config.stateOn : this._config.stateOff),
+            });
+
+            for (const segment of segments) {
+                if (segment.symbol && item.useIcon && item.iconPath) {
+                    const iconPath = iconPathForScale(item.iconPath, displayScale(this._monitorIndex));
+                    entry.add_child(createIcon(iconPath, this._config.symbolSize));
+                } else {
+                    entry.add_child(new St.Label({
+                        text: segment.symbol ? item.symbol : segment.text,
+                        y_align: Clutter.ActorAlign.CENTER,
+                    }));
+                }
+            }
+
+            return entry;
+        }
+
+        applyConfig(config) {
+            this._config = config;
+
+            const anchor = OSD_POSITIONS[config.position] ?? OSD_POSITIONS['bottom'];
+            this.x_align = anchorToActorAlign(anchor.x);
+            this.y_align = anchorToActorAlign(anchor.y);
+            this._container.x_align = this.x_align;
+            this._container.y_align = this.y_align;
+
+            // Offsets point away from the anchored edge; centered axes move right/down
+            this._container.translation_x = anchor.x === 1 ? -config.offsetX : config.offsetX;
+            this._container.translation_y = anchor.y === 1 ? -config.offsetY : config.offsetY;
+
+            // Scale around the anchor so the OSD keeps its distance from the edge
+            this._container.set_pivot_point(anchor.x, anchor.y);
+            this._container.set_scale(config.scale, config.scale);
+
+            // Vertical layout when no icon, horizontal when icon is shown
+            this._icon.visible = config.showIcon;
+            this._icon.icon_size = config.iconSize;
+            this._container.vertical = !config.showIcon;
+
+            this._summaryBox.style = `spacing: ${config.spacing}px; font-size: ${config.fontScale}em;`;
+        }
+
+        show(changes) {
+            this._summaryBox.destroy_all_children();
+            this._summaryBox.vertical = false;
+            changes.forEach((change, i) => {
+                if (i > 0) {
+                    this._summaryBox.add_child(new St.Label({
+                        style_class: 'kbd-informer-osd-separator',
+                        text: '·',
+                        y_align: Clutter.ActorAlign.CENTER,
+                    }));
+                }
+                this._summaryBox.add_child(this._createEntry(change));
+            });
+
+            // The most recent change picks the icon, falling back to the generic keyboard icon
+            const last = changes[changes.length - 1];
+            this._present(last.isActive ? last.item.osdIconOn : last.item.osdIconOff);
+        }
+
+        /**
+         * Shows the newly selected input source
+         * @param {{name: string, label: string, iconPath: string}} source
+         */
+        showInputSource(source) {
+            this._summaryBox.destroy_all_children();
+            this._summaryBox.vertical = false;
+
+            const entry = new St.BoxLayout({
+                style_class: 'kbd-informer-osd-entry kbd-informer-input-source',
+                y_align: Clutter.ActorAlign.CENTER,
+            });
+            if (source.iconPath) {
+                const iconPath = iconPathForScale(source.iconPath, displayScale(this._monitorIndex));
+                entry.add_child(createIcon(iconPath, this._config.symbolSize));
+            } else {
+                entry.add_child(new St.Label({ text: source.label, y_align: Clutter.ActorAlign.CENTER }));
+            }
+            entry.add_child(new St.Label({ text: source.name, y_align: Clutter.ActorAlign.CENTER }));
+            this._summaryBox.add_child(entry);
+
+            this._present('');
+        }
+
+        /**
+         * Shows recent key combinations, newest at the bottom and older ones faded
+         * @param {Array<{text: string, count: number}>} history
+         */
+        showKeystrokes(history) {
+            this._summaryBox.destroy_all_children();
+            this._summaryBox.vertical = true;
+
+            history.forEach((combo, i) => {
+                const label = new St.Label({
+                    style_class: 'kbd-informer-osd-keystroke',
+                    text: combo.count > 1 ? `${combo.text} ×${combo.count}` : combo.text,
+                    x_align: Clutter.ActorAlign.CENTER,
+                });
+                label.opacity = Math.round(255 * (i + 1) / history.length);
+                this._summaryBox.add_child(label);
+            });
+
+            this._present('');
+        }
+
+        /**
+         * Shows a warning with an action button; it stays until cancelled
+         */
+        showWarning(text, actionLabel, onAction) {
+            this._summaryBox.destroy_all_children();
+            this._summaryBox.vertical = true;
+
+            this._summaryBox.add_child(new St.Label({
+                style_class: 'kbd-informer-osd-warning',
+                text,
+                x_align: Clutter.ActorAlign.CENTER,
+            }));
+
+            const button = new St.Button({
+                style_class: 'button kbd-informer-osd-action',
+                label: actionLabel,
+                can_focus: false,
+                x_align: Clutter.ActorAlign.CENTER,
+            });
+            button.connect('clicked', () => onAction());
+            this._summaryBox.add_child(button);
+
+            // Without chrome tracking, clicks on X11 fall through to the window below;
+            // the tracking ends when the button is destroyed with the summary
+            Main.layoutManager.trackChrome(button, { affectsInputRegion: true });
+
+            this._present('dialog-warning-symbolic', true);
         }
 
-        show(title, status) {
-            this._titleLabel.text = title;
-            this._statusLabel.text = status;
+        _present(iconPath, persistent = false) {
+            setIconFromPath(this._icon, iconPath
+                ? iconPathForScale(iconPath, displayScale(this._monitorIndex))
+                : 'input-keyboard-symbolic');
 
             if (!this.visible) {
                 this._showWithAnimation();
             }
 
-            this._scheduleHide();
+            this._persistent = persistent;
+            if (persistent) {
+                this._clearHideTimeout();
+            } else {
+                this._scheduleHide();
+            }
         }
 
         _showWithAnimation() {
@@ -232,24 +877,41 @@ const ModifiersOSD = GObject.registerClass(
 
             this.ease({
                 opacity: 255,
-                duration: OSD_FADE_TIME_MS,
+                duration: this._config.fadeTime,
                 mode: Clutter.AnimationMode.EASE_OUT_QUAD,
             });
         }
 
         _scheduleHide() {
-            this._clearHideTimeout();
+            // Extend the deadline of a running timer instead of restarting it
+            this._hideDeadline = GLib.get_monotonic_time() / 1000 + this._config.hideTimeout;
+            if (this._hideTimeoutId) return;
+
+            this._startHideTimeout(this._config.hideTimeout);
+        }
+
+        _startHideTimeout(delay) {
             this._hideTimeoutId = GLib.timeout_add(
                 GLib.PRIORITY_DEFAULT,
-                OSD_HIDE_TIMEOUT_MS,
-                this._hide.bind(this)
+                delay,
+                this._onHideTimeout.bind(this)
             );
             GLib.Source.set_name_by_id(this._hideTimeoutId, '[gnome-shell] ModifiersOSD._hide');
         }
 
+        _onHideTimeout() {
+            const remaining = this._hideDeadline - GLib.get_monotonic_time() / 1000;
+            if (remaining > 0) {
+                this._startHideTimeout(Math.ceil(remaining));
+                return GLib.SOURCE_REMOVE;
+            }
+            return this._hide();
+        }
+
         cancel() {
-            if (this._hideTimeoutId) {
+            if (this._hideTimeoutId || this._persistent) {
                 this._clearHideTimeout();
+                this._persistent = false;
                 this._hide();
             }
         }
@@ -258,7 +920,7 @@ const ModifiersOSD = GObject.registerClass(
             this._hideTimeoutId = 0;
             this.ease({
                 opacity: 0,
-                duration: OSD_FADE_TIME_MS,
+                duration: this._config.fadeTime,
                 mode: Clutter.AnimationMode.EASE_OUT_QUAD,
                 onComplete: () => {
                     this._reset();
@@ -273,8 +935,7 @@ const ModifiersOSD = GObject.registerClass(
 
         _reset() {
             super.hide();
-            this._titleLabel.text = '';
-            this._statusLabel.text = '';
+            this._summaryBox.destroy_all_children();
         }
 
         _clearHideTimeout() {
@@ -294,8 +955,13 @@ const ModifiersOSD = GObject.registerClass(
  * Manager for handling OSD windows across multiple monitors
  */
 class ModifiersOSDManager {
-    constructor() {
+    constructor(config) {
+        this._config = config;
         this._osdWindows = [];
+        this._changes = new Map();
+        this._lastChangeTime = 0;
+        this._warningShown = false;
+        this.onWarningClosed = null;
         this._monitorsChangedId = Main.layoutManager.connect(
             'monitors-changed',
             this._onMonitorsChanged.bind(this)
@@ -306,14 +972,8 @@ class ModifiersOSDManager {
     _onMonitorsChanged() {
         const monitorCount = Main.layoutManager.monitors.length;
 
-        // Create OSD windows for new monitors
-        for (let i = 0; i < monitorCount; i++) {
-            if (!this._osdWindows[i]) {
-                this._osdWindows[i] = new ModifiersOSD(i);
-            }
-        }
-
-        // Remove OSD windows for monitors that no longer exist
+        // Remove OSD windows for monitors that no longer exist;
+        // windows for existing monitors are created on demand in _getOSD
         for (let i = monitorCount; i < this._osdWindows.length; i++) {
             if (this._osdWindows[i]) {
                 this._osdWindows[i].destroy();
@@ -324,15 +984,120 @@ class ModifiersOSDManager {
         this._osdWindows.length = monitorCount;
     }
 
-    show(title, status) {
+    _getOSD(monitorIndex) {
+        if (!this._osdWindows[monitorIndex]) {
+            this._osdWindows[monitorIndex] = new ModifiersOSD(monitorIndex, this._config);
+        }
+        return this._osdWindows[monitorIndex];
+    }
+
+    _getTargetMonitors() {
+        const layoutManager = Main.layoutManager;
+
+        switch (this._config.monitor) {
+            case 'primary':
+                return [layoutManager.primaryIndex];
+            case 'focused': {
+                const focusWindow = global.display.focus_window;
+                const index = focusWindow ? focusWindow.get_monitor() : -1;
+                return [index >= 0 ? index : layoutManager.primaryIndex];
+            }
+            case 'pointer':
+                return [global.display.get_current_monitor()];
+            default:
+                return layoutManager.monitors.map((_monitor, i) => i);
+        }
+    }
+
+    updateConfig(config) {
+        this._config = config;
         this._osdWindows.forEach(osd => {
             if (osd) {
-                osd.show(title, status);
+                osd.applyConfig(config);
+            }
+        });
+    }
+
+    /**
+     * Adds a modifier change to the summary; changes arriving within
+     * OSD_AGGREGATE_WINDOW_MS of the previous one share a single OSD
+     * @param {object} item - modifier from SettingsManager
+     * @param {boolean} isActive - new state of the modifier
+     * @param {string|null} state - text replacing the on/off text, e.g. for Sticky Keys
+     */
+    showChange(item, isActive, state = null) {
+        const now = GLib.get_monotonic_time() / 1000;
+        if (now - this._lastChangeTime > OSD_AGGREGATE_WINDOW_MS) {
+            this._changes.clear();
+        }
+        this._lastChangeTime = now;
+
+        // A latch or lock is more telling than the plain on change it comes with
+        const existing = this._changes.get(item.name);
+        if (existing?.state && !state && existing.isActive === isActive) return;
+
+        this._changes.set(item.name, { item, isActive, state });
+        this.show([...this._changes.values()]);
+    }
+
+    show(changes) {
+        this._closeWarning();
+        this._showOnTargets(osd => osd.show(changes));
+    }
+
+    /**
+     * Replaces any modifier summary with the newly selected input source
+     */
+    showInputSource(source) {
+        this._changes.clear();
+        this._closeWarning();
+        this._showOnTargets(osd => osd.showInputSource(source));
+    }
+
+    showKeystrokes(history) {
+        this._changes.clear();
+        this._closeWarning();
+        this._showOnTargets(osd => osd.showKeystrokes(history));
+    }
+
+    showWarning(text, actionLabel, onAction) {
+        this._changes.clear();
+        this._showOnTargets(osd => osd.showWarning(text, actionLabel, onAction));
+        this._warningShown = true;
+    }
+
+    isWarningShown() {
+        return this._warningShown;
+    }
+
+    /**
+     * Notes that the persistent warning was replaced or hidden
+     */
+    _closeWarning() {
+        if (!this._warningShown) return;
+
+        this._warningShown = false;
+        if (this.onWarningClosed) {
+            this.onWarningClosed();
+        }
+    }
+
+    _showOnTargets(showOSD) {
+        const targets = this._getTargetMonitors()
+            .filter(index => index >= 0 && index < this._osdWindows.length);
+
+        // Hide OSDs left on monitors that are no longer targeted
+        this._osdWindows.forEach((osd, i) => {
+            if (osd && !targets.includes(i)) {
+                osd.cancel();
             }
         });
+
+        targets.forEach(index => showOSD(this._getOSD(index)));
     }
 
     hideAll() {
+        this._closeWarning();
         this._osdWindows.forEach(osd => {
             if (osd) {
                 osd.cancel();
@@ -345,6 +1110,7 @@ class ModifiersOSDManager {
             Main.layoutManager.disconnect(this._monitorsChangedId);
             this._monitorsChangedId = null;
         }
+        this.onWarningClosed = null;
 
         this._osdWindows.forEach(osd => {
             if (osd) {
@@ -356,71 +1122,604 @@ class ModifiersOSDManager {
 }
 
 /**
- * Panel indicator for displaying modifier status
+ * Theme manager for the optional user stylesheet
+ * Loads the file into the shell theme and reloads it when it changes on disk
  */
-class PanelIndicator {
+class ThemeManager {
     constructor() {
-        this._indicator = null;
-        this._box = null;
+        this._file = null;
+        this._monitor = null;
+        this._monitorChangedId = null;
     }
 
-    initialize() {
-        this._indicator = new St.Bin({
-            style_class: 'panel-button',
-            reactive: false,
-            can_focus: false,
-            x_expand: true,
-            y_expand: false,
-            track_hover: false
-        });
-
-        this._box = new St.BoxLayout({
-            style_class: 'state-label',
-            vertical: false,
-            x_expand: true,
-        });
-        this._indicator.set_child(this._box);
-        Main.panel._rightBox.insert_child_at_index(this._indicator, 0);
+    initialize(config) {
+        this.setStylesheet(config.stylesheet);
     }
 
-    updateContent(items) {
-        if (!this._box) return;
-        this._box.destroy_all_children();
-        for (const item of items) {
-            if (item && item.iconPath) {
-                // If it's a file path or URI, load via gicon; otherwise treat as icon_name
-                const isPathLike = item.iconPath.startsWith('/') || item.iconPath.includes('://');
-                const iconProps = { icon_size: 18 };
-                if (isPathLike) {
-                    iconProps.gicon = Gio.icon_new_for_string(item.iconPath);
-                } else {
-                    iconProps.icon_name = item.iconPath;
+    setStylesheet(path) {
+        const currentPath = this._file ? this._file.get_path() : '';
+        if (currentPath === path) return;
+
+        this._unload();
+        if (!path) return;
+
+        this._file = Gio.File.new_for_path(path);
+        this._load();
+
+        try {
+            this._monitor = this._file.monitor_file(Gio.FileMonitorFlags.NONE, null);
+            this._monitorChangedId = this._monitor.connect('changed', (_monitor, _file, _otherFile, eventType) => {
+                if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                    eventType === Gio.FileMonitorEvent.CREATED) {
+                    this._reload();
                 }
-                const icon = new St.Icon(iconProps);
-                this._box.add_child(icon);
-            } else if (item && item.text) {
-                this._box.add_child(new St.Label({ text: item.text }));
-            }
+            });
+        } catch (e) {
+            console.warn(`${LOG_TAG} Cannot monitor stylesheet ${path}: ${e.message}`);
         }
     }
 
-    destroy() {
-        if (this._indicator) {
-            Main.panel._rightBox.remove_child(this._indicator);
-            this._indicator.destroy_all_children();
+    _getTheme() {
+        return St.ThemeContext.get_for_stage(global.stage).get_theme();
+    }
+
+    _load() {
+        try {
+            this._getTheme().load_stylesheet(this._file);
+        } catch (e) {
+            console.warn(`${LOG_TAG} Cannot load stylesheet ${this._file.get_path()}: ${e.message}`);
+        }
+    }
+
+    _reload() {
+        this._getTheme().unload_stylesheet(this._file);
+        this._load();
+    }
+
+    _unload() {
+        if (this._monitor) {
+            if (this._monitorChangedId) {
+                this._monitor.disconnect(this._monitorChangedId);
+                this._monitorChangedId = null;
+            }
+            this._monitor.cancel();
+            this._monitor = null;
+        }
+
+        if (this._file) {
+            this._getTheme().unload_stylesheet(this._file);
+            this._file = null;
+        }
+    }
+
+    destroy() {
+        this._unload();
+    }
+}
+
+/**
+ * Panel indicator for displaying modifier status
+ */
+class PanelIndicator {
+    constructor(role, name) {
+        this._role = role;
+        this._name = name;
+        this._indicator = null;
+        this._box = null;
+        this._menuItems = new Map();
+        this._actors = new Map();
+        this._iconCache = new IconCache();
+        this._placement = null;
+        this._items = [];
+        this._states = [];
+        this._source = null;
+        this._menuEnabled = true;
+        this.onToggleLock = null;
+        this.onReleaseModifiers = null;
+        this.onOpenPreferences = null;
+
+        // Raster icons are picked per scale, so re-resolve them when the panel's monitor changes
+        const refresh = () => this.updateContent(this._items);
+        this._monitorsChangedId = Main.layoutManager.connect('monitors-changed', refresh);
+        this._scaleChangedId = St.ThemeContext.get_for_stage(global.stage).connect('notify::scale-factor', refresh);
+    }
+
+    initialize(placement) {
+        this._placement = { ...placement };
+
+        this._indicator = new PanelMenu.Button(0.0, this._name, false);
+
+        // The input source sits in front of the modifiers in its own box
+        const container = new St.BoxLayout({ vertical: false, x_expand: true });
+        this._sourceLabel = new St.Label({
+            style_class: 'kbd-informer-input-source',
+            y_align: Clutter.ActorAlign.CENTER,
+            visible: false,
+        });
+        this._sourceIcon = new St.Icon({ style_class: 'kbd-informer-input-source', visible: false });
+        container.add_child(this._sourceLabel);
+        container.add_child(this._sourceIcon);
+
+        this._box = new St.BoxLayout({
+            style_class: 'state-label',
+            vertical: false,
+            x_expand: true,
+        });
+        container.add_child(this._box);
+        this._indicator.add_child(container);
+        this.setAppearance(placement);
+
+        this._buildMenu();
+
+        // Registering through the status area keeps the panel's menu manager
+        // and other extensions' indicators in charge of their own positions
+        Main.panel.addToStatusArea(this._role, this._indicator, this._placement.index, this._placement.box);
+
+        this.updateContent(this._items);
+        this.updateMenu(this._states);
+        this.updateInputSource(this._source);
+        this.setMenuEnabled(this._menuEnabled);
+    }
+
+    /**
+     * Enables or disables the popup menu, which must not be reachable on the lock screen
+     */
+    setMenuEnabled(enabled) {
+        this._menuEnabled = enabled;
+        if (!this._indicator) return;
+
+        if (!enabled) {
+            this._indicator.menu.close();
+        }
+        this._indicator.setSensitive(enabled);
+    }
+
+    /**
+     * Moves the indicator when the configured box or index changes
+     */
+    setPlacement(placement) {
+        if (this._placement &&
+            this._placement.box === placement.box &&
+            this._placement.index === placement.index) {
+            return;
+        }
+
+        this._destroyIndicator();
+        this.initialize(placement);
+    }
+
+    /**
+     * Applies icon size, text size and spacing of the panel items
+     */
+    setAppearance(appearance) {
+        this._appearance = { ...appearance };
+        if (!this._box) return;
+
+        this._box.style = `spacing: ${appearance.spacing}px; font-size: ${appearance.fontScale}em;`;
+        this._sourceLabel.style = `font-size: ${appearance.fontScale}em;`;
+        this._sourceIcon.icon_size = appearance.iconSize;
+        for (const { actor } of this._actors.values()) {
+            if (actor instanceof St.Icon) {
+                actor.icon_size = appearance.iconSize;
+            }
+        }
+    }
+
+    _buildMenu() {
+        const menu = this._indicator.menu;
+
+        // Lock keys get switches, momentary modifiers only show their state
+        for (const modifier of MODIFIERS) {
+            let item;
+            if (modifier.lock) {
+                item = new PopupMenu.PopupSwitchMenuItem(_(modifier.title), false);
+                item.connect('toggled', (menuItem, state) => {
+                    // Keep the real state until the keymap reports the change
+                    menuItem.setToggleState(!state);
+                    if (this.onToggleLock) {
+                        this.onToggleLock(modifier.name);
+                    }
+                });
+            } else {
+                item = new PopupMenu.PopupMenuItem(_(modifier.title), { reactive: false });
+            }
+            this._menuItems.set(modifier.name, item);
+            menu.addMenuItem(item);
+        }
+
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        menu.addAction(_('Release all modifiers'), () => {
+            if (this.onReleaseModifiers) {
+                this.onReleaseModifiers();
+            }
+        });
+        menu.addAction(_('Preferences'), () => {
+            if (this.onOpenPreferences) {
+                this.onOpenPreferences();
+            }
+        });
+    }
+
+    /**
+     * Updates the persistent per-modifier actors in place
+     * @param {Array<{name: string, text: string, iconPath: string, style: string, active: boolean, sticky: string|null, shown: boolean}>} items
+     */
+    updateContent(items) {
+        this._items = items;
+        if (!this._box) return;
+
+        const scale = displayScale(Main.layoutManager.primaryIndex);
+        this._iconCache.retain(new Set(items
+            .filter(item => item.iconPath)
+            .map(item => iconPathForScale(item.iconPath, scale))));
+
+        items.forEach((item, index) => {
+            const actor = this._getModifierActor(item, scale);
+            if (this._box.get_child_at_index(index) !== actor) {
+                this._box.set_child_at_index(actor, index);
+            }
+
+            actor.remove_style_class_name(item.active ? 'kbd-informer-inactive' : 'kbd-informer-active');
+            actor.add_style_class_name(item.active ? 'kbd-informer-active' : 'kbd-informer-inactive');
+            for (const sticky of ['latched', 'locked']) {
+                if (item.sticky === sticky) {
+                    actor.add_style_class_name(`kbd-informer-${sticky}`);
+                } else {
+                    actor.remove_style_class_name(`kbd-informer-${sticky}`);
+                }
+            }
+            // Custom colors mark the active state; inactive modifiers stay dimmed
+            actor.style = item.active ? item.style : null;
+            this._setActorShown(actor, item.shown, item.active ? 255 : PANEL_INACTIVE_OPACITY);
+        });
+
+        // Drop actors of modifiers that are no longer displayed at all
+        const names = new Set(items.map(item => item.name));
+        for (const [name, entry] of [...this._actors]) {
+            if (!names.has(name)) {
+                entry.actor.destroy();
+                this._actors.delete(name);
+            }
+        }
+    }
+
+    _getModifierActor(item, scale) {
+        let entry = this._actors.get(item.name);
+        const wantsIcon = Boolean(item.iconPath);
+
+        // Icon and text need different actor types; replace only on a type switch
+        if (entry && (entry.actor instanceof St.Icon) !== wantsIcon) {
+            entry.actor.destroy();
+            entry = null;
+        }
+
+        if (!entry) {
+            const actor = wantsIcon
+                ? new St.Icon({ icon_size: this._appearance.iconSize })
+                : new St.Label({ y_align: Clutter.ActorAlign.CENTER });
+            actor.visible = false;
+            actor.opacity = 0;
+            actor.add_style_class_name(`kbd-informer-${item.name}`);
+            this._box.add_child(actor);
+            entry = { actor, iconPath: null, text: null };
+            this._actors.set(item.name, entry);
+        }
+
+        const iconPath = wantsIcon ? iconPathForScale(item.iconPath, scale) : null;
+        if (wantsIcon && entry.iconPath !== iconPath) {
+            entry.actor.gicon = this._iconCache.lookup(iconPath);
+            entry.iconPath = iconPath;
+        } else if (!wantsIcon && entry.text !== item.text) {
+            entry.actor.text = item.text;
+            entry.text = item.text;
+        }
+
+        return entry.actor;
+    }
+
+    _setActorShown(actor, shown, opacity) {
+        if (shown) {
+            if (actor.visible && actor.opacity === opacity) return;
+            actor.show();
+            actor.ease({
+                opacity,
+                duration: PANEL_FADE_TIME_MS,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            });
+        } else if (actor.visible) {
+            actor.ease({
+                opacity: 0,
+                duration: PANEL_FADE_TIME_MS,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+                onComplete: () => actor.hide(),
+            });
+        }
+    }
+
+    /**
+     * Reflects the live modifier state in the popup menu
+     * @param {Array<{name: string, active: boolean}>} states
+     */
+    updateMenu(states) {
+        this._states = states;
+        for (const { name, active } of states) {
+            const item = this._menuItems.get(name);
+            if (!item) continue;
+
+            if (item instanceof PopupMenu.PopupSwitchMenuItem) {
+                item.setToggleState(active);
+            } else {
+                item.setOrnament(active ? PopupMenu.Ornament.CHECK : PopupMenu.Ornament.NONE);
+            }
+        }
+    }
+
+    /**
+     * Shows the current input source, or hides it when source is null
+     * @param {{label: string, iconPath: string}|null} source
+     */
+    updateInputSource(source) {
+        this._source = source;
+        if (!this._indicator) return;
+
+        const iconPath = source?.iconPath
+            ? iconPathForScale(source.iconPath, displayScale(Main.layoutManager.primaryIndex))
+            : '';
+        this._sourceIcon.visible = iconPath !== '';
+        this._sourceLabel.visible = source !== null && iconPath === '';
+
+        if (iconPath) {
+            setIconFromPath(this._sourceIcon, iconPath);
+        } else if (source) {
+            this._sourceLabel.text = source.label;
+        }
+    }
+
+    _destroyIndicator() {
+        if (this._indicator) {
             this._indicator.destroy();
             this._indicator = null;
             this._box = null;
+            this._sourceLabel = null;
+            this._sourceIcon = null;
+        }
+        this._actors.clear();
+        this._menuItems.clear();
+    }
+
+    destroy() {
+        if (this._monitorsChangedId) {
+            Main.layoutManager.disconnect(this._monitorsChangedId);
+            this._monitorsChangedId = 0;
+        }
+        if (this._scaleChangedId) {
+            St.ThemeContext.get_for_stage(global.stage).disconnect(this._scaleChangedId);
+            this._scaleChangedId = 0;
         }
+        this._destroyIndicator();
+        this._iconCache.clear();
+        this.onToggleLock = null;
+        this.onReleaseModifiers = null;
+        this.onOpenPreferences = null;
+    }
+}
+
+// Real modifier bits whose meaning depends on the active xkb layout
+const LAYOUT_DEPENDENT_MASK = MODIFIER_MASKS.MOD2 | MODIFIER_MASKS.MOD3 | MODIFIER_MASKS.MOD5;
+
+// Real modifier bits that mean the same on every layout
+const FIXED_MODIFIERS_MASK = MODIFIER_MASKS.SHIFT | MODIFIER_MASKS.CONTROL | MODIFIER_MASKS.MOD1 | MODIFIER_MASKS.MOD4;
+
+// Time for virtual key events to reach the keyboard state before it is read again
+const VIRTUAL_KEY_SETTLE_MS = 100;
+
+// Pointer buttons reported alongside the modifiers by global.get_pointer()
+const POINTER_BUTTONS_MASK = Clutter.ModifierType.BUTTON1_MASK | Clutter.ModifierType.BUTTON2_MASK |
+    Clutter.ModifierType.BUTTON3_MASK | Clutter.ModifierType.BUTTON4_MASK | Clutter.ModifierType.BUTTON5_MASK;
+
+const LEDS_SYSFS_DIR = '/sys/class/leds';
+const LED_REFRESH_INTERVAL_MS = 500;
+
+/**
+ * KeymapResolver - Resolves which real modifier bit belongs to which key
+ * Caps and Num Lock come from the keymap, Scroll Lock from the keyboard LEDs.
+ * The bits owned by Num and Scroll Lock are narrowed down from the raw masks
+ * seen while the lock is on and off; the remaining layout-dependent bits are AltGr.
+ */
+class KeymapResolver {
+    constructor(keymap) {
+        this._keymap = keymap;
+        this._scrollLockLeds = [];
+        this._scrollLockOn = false;
+        this._ledsRefreshedAt = 0;
+        this._ledsCancellable = null;
+        this.onLedsChanged = null;
+        this.resolve();
+    }
+
+    /**
+     * Recomputes the mapping for a new keymap or layout
+     */
+    resolve() {
+        this._lockCandidates = { num: LAYOUT_DEPENDENT_MASK, scroll: LAYOUT_DEPENDENT_MASK };
+        this._scrollLockLeds = this._findScrollLockLeds();
+        console.debug(`${LOG_TAG} Keymap resolved, Scroll Lock LEDs: ${this._scrollLockLeds.length}`);
+        this.refreshLeds(true);
+    }
+
+    _findScrollLockLeds() {
+        const leds = [];
+        try {
+            const dir = Gio.File.new_for_path(LEDS_SYSFS_DIR);
+            const enumerator = dir.enumerate_children('standard::name', Gio.FileQueryInfoFlags.NONE, null);
+            let info;
+            while ((info = enumerator.next_file(null)) !== null) {
+                const name = info.get_name();
+                if (name.endsWith('::scrolllock')) {
+                    leds.push(Gio.File.new_for_path(`${LEDS_SYSFS_DIR}/${name}/brightness`));
+                }
+            }
+            enumerator.close(null);
+        } catch (e) {
+            console.debug(`${LOG_TAG} Keyboard LEDs not available: ${e.message}`);
+        }
+        return leds;
+    }
+
+    /**
+     * Re-reads the Scroll Lock LEDs in the background, at most every LED_REFRESH_INTERVAL_MS
+     * unless forced; onLedsChanged is called when the cached state changes
+     */
+    refreshLeds(force = false) {
+        if (this._scrollLockLeds.length === 0 || this._ledsCancellable) return;
+
+        const now = GLib.get_monotonic_time() / 1000;
+        if (!force && now - this._ledsRefreshedAt < LED_REFRESH_INTERVAL_MS) return;
+        this._ledsRefreshedAt = now;
+
+        const cancellable = new Gio.Cancellable();
+        this._ledsCancellable = cancellable;
+
+        Promise.all(this._scrollLockLeds.map(file => new Promise(resolve => {
+            file.load_contents_async(cancellable, (source, result) => {
+                try {
+                    const [, contents] = source.load_contents_finish(result);
+                    resolve(parseInt(new TextDecoder().decode(contents), 10) > 0);
+                } catch (e) {
+                    resolve(false);
+                }
+            });
+        }))).then(states => {
+            if (cancellable.is_cancelled()) return;
+            this._ledsCancellable = null;
+
+            const scrollLockOn = states.some(on => on);
+            if (scrollLockOn !== this._scrollLockOn) {
+                this._scrollLockOn = scrollLockOn;
+                if (this.onLedsChanged) {
+                    this.onLedsChanged();
+                }
+            }
+        });
+    }
+
+    _isCapsLockOn(rawState) {
+        if (this._keymap && typeof this._keymap.get_caps_lock_state === 'function') {
+            return this._keymap.get_caps_lock_state();
+        }
+        return (rawState & MODIFIER_MASKS.LOCK) !== 0;
+    }
+
+    _isNumLockOn(rawState) {
+        if (this._keymap && typeof this._keymap.get_num_lock_state === 'function') {
+            return this._keymap.get_num_lock_state();
+        }
+        return (rawState & MODIFIER_MASKS.MOD2) !== 0;
+    }
+
+    _isScrollLockOn(rawState) {
+        if (this._scrollLockLeds.length === 0) {
+            return (rawState & MODIFIER_MASKS.MOD3) !== 0;
+        }
+        return this._scrollLockOn;
+    }
+
+    /**
+     * Narrows down the bit a lock key owns: it is set while the lock is on
+     * and clear while it is off. A lock state that lags behind the mask would
+     * rule out the right bit, so an observation leaving no bit at all is ignored.
+     */
+    _observeLock(name, isOn, rawState) {
+        const bits = rawState & LAYOUT_DEPENDENT_MASK;
+        const candidates = this._lockCandidates[name] & (isOn ? bits : ~bits);
+        if (candidates !== 0) {
+            this._lockCandidates[name] = candidates;
+        }
+    }
+
+    /**
+     * Layout-dependent bits not owned by a lock key that is currently on
+     */
+    _altGrBits(rawState, numLockOn, scrollLockOn) {
+        let bits = rawState & LAYOUT_DEPENDENT_MASK;
+        if (numLockOn) bits &= ~this._lockCandidates.num;
+        if (scrollLockOn) bits &= ~this._lockCandidates.scroll;
+        return bits;
+    }
+
+    /**
+     * Maps a mask that is not the keyboard state, such as the Sticky Keys latched
+     * or locked modifiers, without consulting the lock keys
+     */
+    translateMask(rawMask) {
+        let mask = rawMask & FIXED_MODIFIERS_MASK;
+        if (this._altGrBits(rawMask, true, true)) mask |= MODIFIER_MASKS.MOD5;
+        return mask;
+    }
+
+    /**
+     * Translates a real modifier mask into the canonical MODIFIER_MASKS layout;
+     * bits outside it, such as pointer buttons, are dropped
+     */
+    translate(rawState) {
+        const capsLockOn = this._isCapsLockOn(rawState);
+        const numLockOn = this._isNumLockOn(rawState);
+        const scrollLockOn = this._isScrollLockOn(rawState);
+
+        // The cached LED state is stale while a read is in flight, e.g. right after a toggle
+        if (!this._ledsCancellable) {
+            this._observeLock('num', numLockOn, rawState);
+            this._observeLock('scroll', scrollLockOn, rawState);
+        }
+
+        let state = rawState & FIXED_MODIFIERS_MASK;
+        if (capsLockOn) state |= MODIFIER_MASKS.LOCK;
+        if (numLockOn) state |= MODIFIER_MASKS.MOD2;
+        if (scrollLockOn) state |= MODIFIER_MASKS.MOD3;
+        if (this._altGrBits(rawState, numLockOn, scrollLockOn)) state |= MODIFIER_MASKS.MOD5;
+
+        return state;
+    }
+
+    destroy() {
+        if (this._ledsCancellable) {
+            this._ledsCancellable.cancel();
+            this._ledsCancellable = null;
+        }
+        this.onLedsChanged = null;
+        this._keymap = null;
+        this._scrollLockLeds = [];
     }
 }
 
 /**
  * Input device manager for handling keyboard events
+ * Pushes modifier state changes to onStateChanged as they happen. Key events for
+ * application windows never reach the stage and no signal reports them, so the
+ * state is also polled, but only while the idle monitor reports recent input.
+ * A modifier tapped and released within UPDATE_INTERVAL_MS inside an application
+ * window can therefore be missed; lock keys and the shell's own keys never are.
  */
 class InputDeviceManager {
     constructor() {
         this._seat = null;
+        this._keymap = null;
+        this._resolver = null;
+        this._keymapStateChangedId = null;
+        this._keymapChangedIds = [];
+        this._capturedEventId = null;
+        this._pendingReadId = 0;
+        this._pollTimeoutId = 0;
+        this._idleMonitor = null;
+        this._idleWatchId = 0;
+        this._activeWatchId = 0;
+        this._virtualKeyboard = null;
+        this._releaseTimeoutId = 0;
+        this._lastPointer = null;
+        this._stickyChangedId = null;
+        this.onStateChanged = null;
+        this.onStickyStateChanged = null;
+        this.onKeyActivity = null;
     }
 
     initialize() {
@@ -431,18 +1730,745 @@ class InputDeviceManager {
             // Fallback to older DeviceManager API
             this._seat = Clutter.DeviceManager.get_default();
         }
+
+        if (this._seat && typeof this._seat.get_keymap === 'function') {
+            this._keymap = this._seat.get_keymap();
+        }
+        this._resolver = new KeymapResolver(this._keymap);
+        this._resolver.onLedsChanged = () => this._scheduleRead();
+
+        this._connectSignals();
+    }
+
+    _connectSignals() {
+        // Keymap reports lock and latch changes regardless of which window has focus
+        if (this._keymap) {
+            this._keymapStateChangedId = this._keymap.connect('state-changed', () => {
+                this._resolver.refreshLeds(true);
+                this._scheduleRead();
+            });
+        }
+
+        // Key events for the shell itself (overview, dialogs) are read without waiting for the next poll
+        this._capturedEventId = global.stage.connect('captured-event', (_actor, event) => {
+            const type = event.type();
+            if (type === Clutter.EventType.KEY_PRESS || type === Clutter.EventType.KEY_RELEASE) {
+                // Without an idle monitor, only the shell's own key events are seen
+                if (!this._idleMonitor) {
+                    this._noteKeyActivity();
+                }
+                this._scheduleRead();
+            }
+            return Clutter.EVENT_PROPAGATE;
+        });
+
+        // Sticky Keys report latched and locked modifiers apart from the keymap state
+        if (this._seat && GObject.signal_lookup('kbd-a11y-mods-state-changed', Clutter.Seat.$gtype)) {
+            this._stickyChangedId = this._seat.connect('kbd-a11y-mods-state-changed', (_seat, latched, locked) => {
+                if (this.onStickyStateChanged) {
+                    this.onStickyStateChanged(this._resolver.translateMask(latched), this._resolver.translateMask(locked));
+                }
+            });
+        }
+
+        // Layout switches can move modifiers to different real bits
+        if (global.backend) {
+            this._keymapChangedIds = ['keymap-changed', 'keymap-layout-group-changed'].map(signal =>
+                global.backend.connect(signal, () => {
+                    this._resolver.resolve();
+                    this._scheduleRead();
+                })
+            );
+        }
+
+        // The core idle monitor sees every input event, including those sent to
+        // application windows, so polling can pause while the user is idle
+        this._idleMonitor = global.backend?.get_core_idle_monitor?.() ?? null;
+        if (this._idleMonitor) {
+            this._idleWatchId = this._idleMonitor.add_idle_watch(ACTIVITY_TIMEOUT_MS, () => this._onIdle());
+        } else {
+            console.warn(`${LOG_TAG} No idle monitor available, polling continuously`);
+        }
+        this._startPolling();
+    }
+
+    _onIdle() {
+        this._stopPolling();
+        if (this._activeWatchId) return;
+
+        // User-active watches fire once, on the first input event after idling
+        this._activeWatchId = this._idleMonitor.add_user_active_watch(() => {
+            this._activeWatchId = 0;
+            this._checkKeyActivity();
+            this._scheduleRead();
+            this._startPolling();
+        });
+    }
+
+    _scheduleRead() {
+        // The modifier mask is only updated after the event has been processed,
+        // so read it on idle and coalesce bursts of events into a single read
+        if (this._pendingReadId) return;
+
+        this._pendingReadId = GLib.idle_add(GLib.PRIORITY_DEFAULT, () => {
+            this._pendingReadId = 0;
+            this._emitState();
+            return GLib.SOURCE_REMOVE;
+        });
+        GLib.Source.set_name_by_id(this._pendingReadId, '[gnome-shell] InputDeviceManager._emitState');
+    }
+
+    _startPolling() {
+        if (this._pollTimeoutId) return;
+
+        this._pollTimeoutId = GLib.timeout_add(
+            GLib.PRIORITY_DEFAULT,
+            UPDATE_INTERVAL_MS,
+            () => {
+                if (this._idleMonitor && this._idleMonitor.get_idletime() < UPDATE_INTERVAL_MS) {
+                    this._checkKeyActivity();
+                }
+                this._lastPointer = this._getPointerState();
+                this._resolver.refreshLeds();
+                this._emitState();
+                return GLib.SOURCE_CONTINUE;
+            }
+        );
+        GLib.Source.set_name_by_id(this._pollTimeoutId, '[gnome-shell] InputDeviceManager._poll');
+    }
+
+    _stopPolling() {
+        if (this._pollTimeoutId) {
+            GLib.source_remove(this._pollTimeoutId);
+            this._pollTimeoutId = 0;
+        }
+    }
+
+    _noteKeyActivity() {
+        if (this.onKeyActivity) {
+            this.onKeyActivity();
+        }
+    }
+
+    _getPointerState() {
+        const [x, y, modifiers] = global.get_pointer();
+        return `${x},${y},${(modifiers ?? 0) & POINTER_BUTTONS_MASK}`;
+    }
+
+    /**
+     * Called after the idle monitor saw input in any window. It does not tell keys
+     * from pointer events, so the input counts as key activity only when the pointer
+     * neither moved nor changed its buttons since the previous tick.
+     */
+    _checkKeyActivity() {
+        if (this._getPointerState() === this._lastPointer) {
+            this._noteKeyActivity();
+        }
+    }
+
+    _emitState() {
+        if (this.onStateChanged) {
+            this.onStateChanged(this.getCurrentModifierState());
+        }
+    }
+
+    _getVirtualKeyboard() {
+        if (!this._virtualKeyboard) {
+            this._virtualKeyboard = this._seat.create_virtual_device(Clutter.InputDeviceType.KEYBOARD_DEVICE);
+        }
+        return this._virtualKeyboard;
+    }
+
+    /**
+     * Presses and releases a key through a virtual keyboard device
+     */
+    sendKey(keyval) {
+        const keyboard = this._getVirtualKeyboard();
+        const time = Clutter.get_current_event_time() * 1000;
+        keyboard.notify_keyval(time, keyval, Clutter.KeyState.PRESSED);
+        keyboard.notify_keyval(time, keyval, Clutter.KeyState.RELEASED);
+    }
+
+    _sendModifierKeys(names, keyStates) {
+        const keyboard = this._getVirtualKeyboard();
+        const time = Clutter.get_current_event_time() * 1000;
+        for (const name of names) {
+            for (const keyval of MODIFIER_KEYVALS_BY_NAME[name] ?? []) {
+                keyStates.forEach(keyState => keyboard.notify_keyval(time, keyval, keyState));
+            }
+        }
+    }
+
+    _heldModifiers(names) {
+        const state = this.getCurrentModifierState();
+        return names.filter(name => MODIFIERS.some(modifier => modifier.name === name && (state & modifier.mask) !== 0));
+    }
+
+    /**
+     * Runs callback once virtual key events have reached the keyboard state
+     */
+    _afterVirtualKeys(callback) {
+        this._releaseTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, VIRTUAL_KEY_SETTLE_MS, () => {
+            this._releaseTimeoutId = 0;
+            callback();
+            return GLib.SOURCE_REMOVE;
+        });
+        GLib.Source.set_name_by_id(this._releaseTimeoutId, '[gnome-shell] InputDeviceManager._releaseModifiers');
+    }
+
+    /**
+     * Releases logically held modifiers through the virtual keyboard and re-reads the state.
+     * A bare release comes first, since a press would let a lone Super open the overview or a
+     * lone Alt focus a menu bar. The native (Wayland) backend drops a release the virtual device
+     * never pressed, so modifiers still held get a press and release; mutter arms the overlay key
+     * only when no other modifier is down, which the held modifier itself prevents.
+     * @param {string[]} names - modifier names such as 'control'
+     * @param {function(string[])} onDone - receives the names that are still held afterwards
+     */
+    releaseModifiers(names, onDone) {
+        if (this._releaseTimeoutId) return;
+
+        this._sendModifierKeys(names, [Clutter.KeyState.RELEASED]);
+        this._afterVirtualKeys(() => {
+            const held = this._heldModifiers(names);
+            if (held.length === 0) {
+                this._emitState();
+                onDone(held);
+                return;
+            }
+
+            this._sendModifierKeys(held, [Clutter.KeyState.PRESSED, Clutter.KeyState.RELEASED]);
+            this._afterVirtualKeys(() => {
+                this._emitState();
+                onDone(this._heldModifiers(held));
+            });
+        });
+    }
+
+    /**
+     * Translates a raw modifier mask from another source into the canonical layout;
+     * unlike the keyboard state, such a mask must not teach the resolver lock bits
+     */
+    translateMask(rawMask) {
+        return this._resolver ? this._resolver.translateMask(rawMask) : rawMask;
     }
 
     getCurrentModifierState() {
         const [x, y, modifiers] = global.get_pointer();
-        return typeof modifiers !== 'undefined' ? modifiers : 0;
+        const rawState = typeof modifiers !== 'undefined' ? modifiers : 0;
+        return this._resolver ? this._resolver.translate(rawState) : rawState;
     }
 
     destroy() {
+        if (this._pendingReadId) {
+            GLib.source_remove(this._pendingReadId);
+            this._pendingReadId = 0;
+        }
+
+        if (this._releaseTimeoutId) {
+            GLib.source_remove(this._releaseTimeoutId);
+            this._releaseTimeoutId = 0;
+        }
+
+        this._stopPolling();
+
+        if (this._idleMonitor) {
+            [this._idleWatchId, this._activeWatchId]
+                .filter(id => id)
+                .forEach(id => this._idleMonitor.remove_watch(id));
+            this._idleWatchId = 0;
+            this._activeWatchId = 0;
+            this._idleMonitor = null;
+        }
+
+        if (this._capturedEventId) {
+            global.stage.disconnect(this._capturedEventId);
+            this._capturedEventId = null;
+        }
+
+        if (this._seat && this._stickyChangedId) {
+            this._seat.disconnect(this._stickyChangedId);
+            this._stickyChangedId = null;
+        }
+
+        if (this._keymap && this._keymapStateChangedId) {
+            this._keymap.disconnect(this._keymapStateChangedId);
+            this._keymapStateChangedId = null;
+        }
+
+        this._keymapChangedIds.forEach(id => global.backend.disconnect(id));
+        this._keymapChangedIds = [];
+
+        if (this._resolver) {
+            this._resolver.destroy();
+            this._resolver = null;
+        }
+
+        this.onStateChanged = null;
+        this.onStickyStateChanged = null;
+        this.onKeyActivity = null;
+        this._virtualKeyboard = null;
+        this._keymap = null;
         this._seat = null;
     }
 }
 
+// Keys that only modify others never form a combination on their own
+const MODIFIER_KEYVALS = new Set([
+    Clutter.KEY_Shift_L, Clutter.KEY_Shift_R, Clutter.KEY_Control_L, Clutter.KEY_Control_R,
+    Clutter.KEY_Alt_L, Clutter.KEY_Alt_R, Clutter.KEY_Meta_L, Clutter.KEY_Meta_R,
+    Clutter.KEY_Super_L, Clutter.KEY_Super_R, Clutter.KEY_Hyper_L, Clutter.KEY_Hyper_R,
+    Clutter.KEY_Caps_Lock, Clutter.KEY_Num_Lock, Clutter.KEY_Scroll_Lock,
+    Clutter.KEY_ISO_Level3_Shift, Clutter.KEY_ISO_Level5_Shift, Clutter.KEY_Mode_switch,
+]);
+
+// Readable names for keys whose keysym name is not what users expect to see
+const KEY_DISPLAY_NAMES = {
+    Return: 'Enter', KP_Enter: 'Enter', space: 'Space', BackSpace: 'Backspace',
+    Escape: 'Esc', ISO_Left_Tab: 'Tab', Delete: 'Del', Prior: 'PgUp', Next: 'PgDn',
+    Left: '←', Right: '→', Up: '↑', Down: '↓',
+};
+
+function keyDisplayName(keyval) {
+    const name = Clutter.keyval_name(keyval);
+    if (name in KEY_DISPLAY_NAMES) return KEY_DISPLAY_NAMES[name];
+
+    const codePoint = Clutter.keyval_to_unicode(keyval);
+    return codePoint > 32 ? String.fromCodePoint(codePoint).toUpperCase() : (name ?? '');
+}
+
+/**
+ * Whether an actor is the text of a shell password entry (unlock dialog, polkit, network prompts)
+ */
+function isPasswordText(actor) {
+    return actor instanceof Clutter.Text && actor.get_password_char() !== 0;
+}
+
+// Properties of the entry and its ancestors that move it on screen, e.g. while a dialog slides in
+const CAPS_HINT_TRACKED_PROPERTIES = ['allocation', 'translation-x', 'translation-y', 'scale-x', 'scale-y'];
+
+/**
+ * CapsLockHint - Shows "Caps Lock is on" below the focused shell password entry
+ */
+class CapsLockHint {
+    constructor() {
+        this._label = null;
+        this._entry = null;
+        this._entrySignals = [];
+        this._focusChangedId = 0;
+        this._capsLockOn = false;
+        this._enabled = false;
+    }
+
+    initialize() {
+        this._focusChangedId = global.stage.connect('notify::key-focus', () => this._onFocusChanged());
+        this._onFocusChanged();
+    }
+
+    /**
+     * @param {boolean} enabled - the caps-lock-warning setting
+     * @param {boolean} capsLockOn - current Caps Lock state
+     */
+    update(enabled, capsLockOn) {
+        this._enabled = enabled;
+        this._capsLockOn = capsLockOn;
+        this._sync();
+    }
+
+    _onFocusChanged() {
+        const focus = global.stage.get_key_focus();
+        // Align with the whole St.Entry rather than its inner text actor
+        const entry = isPasswordText(focus) ? (focus.get_parent() ?? focus) : null;
+        if (entry === this._entry) return;
+
+        this._disconnectEntry();
+        this._entry = entry;
+        if (entry) {
+            this._entrySignals.push([entry, entry.connect('notify::mapped', () => this._sync())]);
+            for (let actor = entry; actor && actor !== Main.uiGroup; actor = actor.get_parent()) {
+                for (const property of CAPS_HINT_TRACKED_PROPERTIES) {
+                    this._entrySignals.push([actor, actor.connect(`notify::${property}`, () => this._sync())]);
+                }
+            }
+        }
+        this._sync();
+    }
+
+    _disconnectEntry() {
+        this._entrySignals.forEach(([actor, id]) => actor.disconnect(id));
+        this._entrySignals = [];
+        this._entry = null;
+    }
+
+    _sync() {
+        const shown = this._enabled && this._capsLockOn && this._entry !== null && this._entry.is_mapped();
+        if (!shown) {
+            this._label?.hide();
+            return;
+        }
+
+        if (!this._label) {
+            this._label = new St.Label({
+                style_class: 'kbd-informer-caps-hint',
+                text: _('Caps Lock is on'),
+            });
+            Main.uiGroup.add_child(this._label);
+        }
+
+        // An overlay in uiGroup leaves the layout of the shell dialogs untouched
+        const [x, y] = this._entry.get_transformed_position();
+        const [, height] = this._entry.get_transformed_size();
+        this._label.set_position(Math.round(x), Math.round(y + height + 4));
+        Main.uiGroup.set_child_above_sibling(this._label, null);
+        this._label.show();
+    }
+
+    destroy() {
+        if (this._focusChangedId) {
+            global.stage.disconnect(this._focusChangedId);
+            this._focusChangedId = 0;
+        }
+        this._disconnectEntry();
+
+        if (this._label) {
+            this._label.destroy();
+            this._label = null;
+        }
+    }
+}
+
+/**
+ * KeystrokeMonitor - Receives key presses for every application through AT-SPI,
+ * since the stage only sees keys that go to the shell itself
+ */
+class KeystrokeMonitor {
+    constructor() {
+        this._device = null;
+        this._watcher = null;
+        this._focusListener = null;
+        this._focusWindowChangedId = 0;
+        this._publicFocus = false;
+        this.onKeystroke = null;
+    }
+
+    initialize() {
+        Atspi.init();
+
+        // The shell is an ordinary AT-SPI client here: it only receives the keys the
+        // registry forwards (through mutter's keyboard monitor on Wayland) and never
+        // delays their delivery. Setting up the device and listener makes a few
+        // blocking calls to the registry, once per enable rather than per key.
+        // The watcher must not reference the device, or the pair is never finalized.
+        const watcher = { active: true };
+        this._device = Atspi.Device.new();
+        this._device.add_key_watcher((_device, pressed, _keycode, keysym, modifiers) => {
+            if (!pressed || !watcher.active || !this.onKeystroke) return;
+            this.onKeystroke(keysym, modifiers);
+        });
+        this._watcher = watcher;
+
+        // Only a focused accessible that is neither a password field nor a terminal
+        // (sudo prompts) makes keys public; losing it makes them private again
+        this._focusListener = Atspi.EventListener.new(event => {
+            const role = event.detail1 === 1 ? event.source?.get_role() : null;
+            this._publicFocus = role !== null && role !== undefined &&
+                role !== Atspi.Role.PASSWORD_TEXT && role !== Atspi.Role.TERMINAL;
+        });
+        this._focusListener.register('object:state-changed:focused');
+
+        // Applications without accessibility support never report their focus,
+        // so a window switch stays private until the new window reports one
+        this._focusWindowChangedId = global.display.connect('notify::focus-window', () => {
+            this._publicFocus = false;
+        });
+    }
+
+    /**
+     * Whether keys may be typed into a password field, including when the focus is unknown
+     */
+    isPrivateFocus() {
+        // Keys go to the shell itself while one of its actors has the key focus
+        const stageFocus = global.stage.get_key_focus();
+        if (stageFocus && stageFocus !== global.stage) {
+            return isPasswordText(stageFocus);
+        }
+        return !this._publicFocus;
+    }
+
+    destroy() {
+        if (this._focusListener) {
+            this._focusListener.deregister('object:state-changed:focused');
+            this._focusListener = null;
+        }
+        if (this._focusWindowChangedId) {
+            global.display.disconnect(this._focusWindowChangedId);
+            this._focusWindowChangedId = 0;
+        }
+        if (this._watcher) {
+            this._watcher.active = false;
+            this._watcher = null;
+        }
+        if (this._device) {
+            // libatspi cannot remove a key watcher; disposing the device drops it
+            // now instead of whenever the garbage collector finalizes the device
+            this._device.run_dispose();
+            this._device = null;
+        }
+        this.onKeystroke = null;
+    }
+}
+
+/**
+ * ScreencastManager - Shows pressed key combinations such as "Ctrl + Shift + T" in the OSD
+ */
+class ScreencastManager {
+    constructor(osdManager, inputManager) {
+        this._osdManager = osdManager;
+        this._inputManager = inputManager;
+        this._settings = null;
+        this._monitor = null;
+        this._config = { enabled: false };
+        this._modifiers = [];
+        this._history = [];
+        this._lastKeystrokeTime = 0;
+    }
+
+    initialize(settings) {
+        this._settings = settings;
+        Main.wm.addKeybinding('screencast-shortcut', settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => settings.set_boolean('screencast-mode', !settings.get_boolean('screencast-mode')));
+    }
+
+    /**
+     * @param {object} config - screencast settings from SettingsManager
+     * @param {Array} modifiers - configured modifiers, in display order
+     * @param {number} hideTimeout - OSD hide delay; combos further apart start a new history
+     */
+    updateConfig(config, modifiers, hideTimeout) {
+        this._config = config;
+        this._modifiers = modifiers;
+        this._hideTimeout = hideTimeout;
+
+        // Keys are only watched while the mode is on
+        if (config.enabled && !this._monitor) {
+            this._monitor = new KeystrokeMonitor();
+            this._monitor.onKeystroke = this._onKeystroke.bind(this);
+            this._monitor.initialize();
+        } else if (!config.enabled && this._monitor) {
+            this._monitor.destroy();
+            this._monitor = null;
+            this._history = [];
+        }
+    }
+
+    _formatCombination(keyval, rawModifiers) {
+        const state = this._inputManager.translateMask(rawModifiers);
+        const parts = this._modifiers
+            .filter(item => !item.lock && (state & item.mask) !== 0)
+            .map(item => item.symbol || item.label);
+        parts.push(keyDisplayName(keyval));
+        return parts.join(' + ');
+    }
+
+    _onKeystroke(keyval, rawModifiers) {
+        if (MODIFIER_KEYVALS.has(keyval)) return;
+        if (this._config.hidePasswords && this._monitor.isPrivateFocus()) return;
+
+        const now = GLib.get_monotonic_time() / 1000;
+        if (now - this._lastKeystrokeTime > this._hideTimeout) {
+            this._history = [];
+        }
+        this._lastKeystrokeTime = now;
+
+        // Repeated presses of the same combination collapse into a counter
+        const text = this._formatCombination(keyval, rawModifiers);
+        const last = this._history[this._history.length - 1];
+        if (last && last.text === text) {
+            last.count++;
+        } else {
+            this._history.push({ text, count: 1 });
+            this._history = this._history.slice(-this._config.history);
+        }
+
+        this._osdManager.showKeystrokes(this._history);
+    }
+
+    destroy() {
+        if (this._settings) {
+            Main.wm.removeKeybinding('screencast-shortcut');
+            this._settings = null;
+        }
+        if (this._monitor) {
+            this._monitor.destroy();
+            this._monitor = null;
+        }
+        this._history = [];
+    }
+}
+
+/**
+ * InputSourceTracker - Follows the keyboard layout through the shell's input source manager
+ */
+class InputSourceTracker {
+    constructor() {
+        this._manager = null;
+        this._signalIds = [];
+        this.onSourceChanged = null;
+    }
+
+    initialize() {
+        this._manager = Keyboard.getInputSourceManager();
+
+        // The first current-source-changed after startup has no previous source and is not a switch
+        this._signalIds = [
+            this._manager.connect('current-source-changed', (_manager, oldSource) => {
+                this._notify(Boolean(oldSource));
+            }),
+            this._manager.connect('sources-changed', () => this._notify(false)),
+        ];
+    }
+
+    _notify(switched) {
+        if (this.onSourceChanged) {
+            this.onSourceChanged(switched);
+        }
+    }
+
+    /**
+     * @returns {{id: string, name: string, shortName: string}|null}
+     */
+    getCurrentSource() {
+        const source = this._manager?.currentSource;
+        if (!source) return null;
+
+        return {
+            id: `${source.type}:${source.id}`,
+            name: source.displayName,
+            shortName: source.shortName,
+        };
+    }
+
+    destroy() {
+        this._signalIds.forEach(id => this._manager.disconnect(id));
+        this._signalIds = [];
+        this._manager = null;
+        this.onSourceChanged = null;
+    }
+}
+
+// D-Bus interface exported on the shell's session bus connection
+const DBUS_OBJECT_PATH = '/org/gnome/Shell/Extensions/AryanKeyboard';
+const DBUS_INTERFACE_NAME = 'org.gnome.Shell.Extensions.AryanKeyboard';
+
+// Per-modifier property names, e.g. 'Caps Lock' becomes CapsLock
+const dbusPropertyName = modifier => modifier.title.replace(/\s+/g, '');
+
+// The eight modifier bits documented for the Modifiers property
+const DBUS_MODIFIERS_MASK = MODIFIERS.reduce((mask, modifier) => mask | modifier.mask, 0);
+
+const DBUS_INTERFACE_XML = `
+<node>
+  <interface name="${DBUS_INTERFACE_NAME}">
+    <property name="Modifiers" type="u" access="read"/>
+${MODIFIERS.map(modifier => `    <property name="${dbusPropertyName(modifier)}" type="b" access="read"/>`).join('\n')}
+    <signal name="ModifiersChanged">
+      <arg name="old" type="u"/>
+      <arg name="new" type="u"/>
+    </signal>
+    <signal name="LockChanged">
+      <arg name="name" type="s"/>
+      <arg name="active" type="b"/>
+    </signal>
+  </interface>
+</node>`;
+
+/**
+ * DBusService - Exposes the modifier state to other processes on the session bus
+ */
+class DBusService {
+    constructor() {
+        this._dbusImpl = null;
+        this._state = 0;
+        this._pausedState = 0;
+
+        // Properties are read through getters on this object
+        for (const modifier of MODIFIERS) {
+            Object.defineProperty(this, dbusPropertyName(modifier), {
+                get: () => (this._state & modifier.mask) !== 0,
+            });
+        }
+    }
+
+    initialize() {
+        this._dbusImpl = Gio.DBusExportedObject.wrapJSObject(DBUS_INTERFACE_XML, this);
+        this._dbusImpl.export(Gio.DBus.session, DBUS_OBJECT_PATH);
+    }
+
+    get Modifiers() {
+        return this._state;
+    }
+
+    /**
+     * Withdraws the object while paused, e.g. on the lock screen where modifier
+     * timing would reveal password typing; resuming announces the current state
+     */
+    setPaused(paused) {
+        if (paused === !this._dbusImpl) return;
+
+        if (paused) {
+            this._dbusImpl.unexport();
+            this._dbusImpl = null;
+            this._pausedState = this._state;
+            return;
+        }
+
+        this.initialize();
+        const state = this._state;
+        this._state = this._pausedState;
+        this.update(this._pausedState, state);
+    }
+
+    /**
+     * Publishes a new state; signals are only emitted for real changes, not the initial sync
+     * @param {number|null} oldState - previous mask, null on the first update
+     * @param {number} newState - current mask in the canonical MODIFIER_MASKS layout
+     */
+    update(oldState, newState) {
+        // Pointer buttons and virtual modifiers are not part of the interface
+        oldState = oldState === null ? null : oldState & DBUS_MODIFIERS_MASK;
+        newState &= DBUS_MODIFIERS_MASK;
+        if (oldState === newState) return;
+
+        this._state = newState;
+        if (!this._dbusImpl) return;
+
+        this._dbusImpl.emit_property_changed('Modifiers', new GLib.Variant('u', newState));
+        for (const modifier of MODIFIERS) {
+            const wasActive = oldState !== null && (oldState & modifier.mask) !== 0;
+            const isActive = (newState & modifier.mask) !== 0;
+            if (oldState !== null && wasActive === isActive) continue;
+
+            this._dbusImpl.emit_property_changed(dbusPropertyName(modifier), new GLib.Variant('b', isActive));
+            if (oldState !== null && modifier.lock) {
+                this._dbusImpl.emit_signal('LockChanged', new GLib.Variant('(sb)', [modifier.name, isActive]));
+            }
+        }
+
+        if (oldState !== null) {
+            this._dbusImpl.emit_signal('ModifiersChanged', new GLib.Variant('(uu)', [oldState, newState]));
+        }
+    }
+
+    destroy() {
+        if (this._dbusImpl) {
+            this._dbusImpl.unexport();
+            this._dbusImpl = null;
+        }
+    }
+}
+
 /**
  * Main extension class
  */
@@ -458,46 +2484,110 @@ export default class KeyboardModifiersStatusExtension extends Extension {
         // Initialize components
         this._stateTracker = new ModifierStateTracker();
         this._settingsManager = new SettingsManager(this);
-        this._osdManager = new ModifiersOSDManager();
-        this._panelIndicator = new PanelIndicator();
+        this._panelIndicator = new PanelIndicator(this.uuid, this.metadata.name);
         this._inputManager = new InputDeviceManager();
+        this._themeManager = new ThemeManager();
+        this._dbusService = new DBusService();
+        this._inputSourceTracker = new InputSourceTracker();
+        this._capsLockHint = new CapsLockHint();
 
         // Setup settings
-        this._settingsManager.onSettingsChanged = () => {
-            this._stateTracker.previousState = null; // Force refresh
+        this._settingsManager.onSettingsChanged = (key) => {
+            this._osdManager.updateConfig(this._settingsManager.osd);
+            this._themeManager.setStylesheet(this._settingsManager.theme.stylesheet);
+            this._panelIndicator.setPlacement(this._settingsManager.panel);
+            this._panelIndicator.setAppearance(this._settingsManager.panel);
+            this._updatePanelIndicator(); // Re-render with the new symbols
+            // Other keys leave the input source alone; style changes may swap its icon
+            if (key === null || key.startsWith('input-source-') || key === 'recolor-icons') {
+                this._updateInputSource(false);
+            }
+            this._updateScreencast();
+            this._scheduleStuckCheck();
+            this._updateCapsLockHint();
         };
         this._settingsManager.initialize();
 
+        // Load the user stylesheet before any styled actor is created
+        this._themeManager.initialize(this._settingsManager.theme);
+
+        // Setup OSD windows with the loaded configuration
+        this._osdManager = new ModifiersOSDManager(this._settingsManager.osd);
+        // Another OSD replacing the warning must not end stuck-modifier detection
+        this._osdManager.onWarningClosed = () => this._scheduleStuckCheck(this._settingsManager.osd.hideTimeout);
+
         // Setup panel indicator
-        this._panelIndicator.initialize();
+        this._panelIndicator.onToggleLock = name => {
+            this._inputManager.sendKey(LOCK_KEYVALS[name]);
+        };
+        this._panelIndicator.onReleaseModifiers = () => {
+            this._releaseModifiers();
+        };
+        this._panelIndicator.onOpenPreferences = () => {
+            if (!Main.sessionMode.isLocked) {
+                this.openPreferences();
+            }
+        };
+        this._panelIndicator.initialize(this._settingsManager.panel);
+
+        this._dbusService.initialize();
+
+        this._screencastManager = new ScreencastManager(this._osdManager, this._inputManager);
+        this._screencastManager.initialize(this._settingsManager.settings);
+        this._updateScreencast();
+
+        this._capsLockHint.initialize();
+
+        // The extension stays enabled on the lock screen; only safe components remain active there
+        this._sessionModeChangedId = Main.sessionMode.connect('updated', this._onSessionModeChanged.bind(this));
+        this._onSessionModeChanged();
+
+        this._inputSourceTracker.onSourceChanged = this._updateInputSource.bind(this);
+        this._inputSourceTracker.initialize();
+        this._updateInputSource(false);
 
         // Setup input device manager
+        this._inputManager.onStateChanged = this._onUpdate.bind(this);
+        this._inputManager.onStickyStateChanged = this._onStickyUpdate.bind(this);
+        this._inputManager.onKeyActivity = () => this._stateTracker.noteKeyActivity();
         this._inputManager.initialize();
 
-        // Start periodic updates
-        this._updateTimeoutId = GLib.timeout_add(
-            GLib.PRIORITY_DEFAULT,
-            UPDATE_INTERVAL_MS,
-            this._onUpdate.bind(this)
-        );
+        // Sync with the current state
+        this._onUpdate(this._inputManager.getCurrentModifierState());
 
         console.debug(`${LOG_TAG} Extension enabled successfully`);
     }
 
+    /**
+     * The extension declares the unlock-dialog session mode, so locking the screen does
+     * not disable it: the lock indicators and the Caps Lock hint are what a password prompt
+     * needs. While locked, _onSessionModeChanged() pauses the D-Bus service and the
+     * stuck-modifier warning, since modifier timing would reveal password typing and the
+     * warning's button injects keys, and disables the menu and the keystroke display.
+     */
     disable() {
         console.debug(`${LOG_TAG} Disabling extension...`);
 
-        // Stop periodic updates
-        if (this._updateTimeoutId) {
-            GLib.source_remove(this._updateTimeoutId);
-            this._updateTimeoutId = null;
+        if (this._stuckCheckId) {
+            GLib.source_remove(this._stuckCheckId);
+            this._stuckCheckId = 0;
+        }
+
+        if (this._sessionModeChangedId) {
+            Main.sessionMode.disconnect(this._sessionModeChangedId);
+            this._sessionModeChangedId = 0;
         }
 
         // Cleanup all components
         [
+            this._capsLockHint,
+            this._screencastManager,
             this._inputManager,
+            this._inputSourceTracker,
+            this._dbusService,
             this._panelIndicator,
             this._osdManager,
+            this._themeManager,
             this._settingsManager
         ].forEach(component => {
             if (component) {
@@ -511,75 +2601,197 @@ export default class KeyboardModifiersStatusExtension extends Extension {
         this._osdManager = null;
         this._panelIndicator = null;
         this._inputManager = null;
+        this._themeManager = null;
+        this._dbusService = null;
+        this._inputSourceTracker = null;
+        this._screencastManager = null;
+        this._capsLockHint = null;
 
         console.debug(`${LOG_TAG} Extension disabled successfully`);
     }
 
-    _onUpdate() {
-        // Get current modifier state
-        const currentState = this._inputManager.getCurrentModifierState();
+    _onUpdate(currentState) {
         this._stateTracker.updateState(currentState);
 
         // Check if state has changed
         if (!this._stateTracker.hasStateChanged()) {
-            return GLib.SOURCE_CONTINUE;
+            return;
         }
 
         // Handle notifications for specific modifier changes
         this._handleModifierNotifications();
+        this._dbusService.update(this._stateTracker.previousState, this._stateTracker.currentState);
 
         // Update panel indicator
         this._updatePanelIndicator();
+        this._updateCapsLockHint();
+        this._scheduleStuckCheck();
+    }
 
-        return GLib.SOURCE_CONTINUE;
+    _updateCapsLockHint() {
+        this._capsLockHint.update(this._settingsManager.osd.capsLockWarning,
+            this._stateTracker.isModifierActive(MODIFIER_MASKS.LOCK));
     }
 
-    _handleModifierNotifications() {
-        if (this._stateTracker.previousState === null) {
-            return; // Skip notifications on first run
+    /**
+     * Arms a timer for the first held modifier that could turn out to be stuck,
+     * and drops the warning once no modifier is held any more
+     * @param {number} minDelay - milliseconds to wait at least, e.g. after another OSD replaced the warning
+     */
+    _scheduleStuckCheck(minDelay = 0) {
+        const timeout = Main.sessionMode.isLocked ? 0 : this._settingsManager.osd.stuckTimeout;
+        const delay = timeout > 0 ? this._stateTracker.getTimeUntilStuck(timeout) : null;
+
+        if (delay === null) {
+            if (this._stuckCheckId) {
+                GLib.source_remove(this._stuckCheckId);
+                this._stuckCheckId = 0;
+            }
+            if (this._osdManager.isWarningShown()) {
+                this._osdManager.hideAll();
+            }
+            return;
         }
 
-        // Check for Caps Lock changes
-        const capsChange = this._stateTracker.getModifierChangeInfo(MODIFIER_MASKS.LOCK);
-        if (capsChange) {
-            const message = capsChange.isActive ? 'On' : 'Off';
-            this._showNotification(message, 'Caps');
+        if (this._stuckCheckId || this._osdManager.isWarningShown()) return;
+
+        this._stuckCheckId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, Math.max(1, Math.ceil(delay), minDelay), () => {
+            this._stuckCheckId = 0;
+            this._checkStuckModifiers();
+            return GLib.SOURCE_REMOVE;
+        });
+        GLib.Source.set_name_by_id(this._stuckCheckId, '[gnome-shell] KeyboardModifiersStatusExtension._checkStuckModifiers');
+    }
+
+    _checkStuckModifiers() {
+        const timeout = this._settingsManager.osd.stuckTimeout;
+        const stuck = this._stateTracker.getStuckModifiers(timeout);
+        if (stuck.length === 0) {
+            // Key activity pushed the deadline back
+            this._scheduleStuckCheck();
+            return;
         }
 
-        // Check for Num Lock changes
-        const numChange = this._stateTracker.getModifierChangeInfo(MODIFIER_MASKS.MOD2);
-        if (numChange) {
-            const message = numChange.isActive ? 'On' : 'Off';
-            this._showNotification(message, 'Num');
+        const labels = stuck.map(modifier => modifier.label).join(' + ');
+        this._osdManager.showWarning(
+            _('%s held for %d s without key presses').format(labels, Math.round(timeout / 1000)),
+            _('Release all modifiers'),
+            () => this._releaseModifiers());
+    }
+
+    _releaseModifiers() {
+        const held = MODIFIERS.filter(modifier => !modifier.lock && this._stateTracker.isModifierActive(modifier.mask));
+        console.debug(`${LOG_TAG} Releasing modifiers: ${held.map(modifier => modifier.name).join(', ')}`);
+        this._inputManager.releaseModifiers(held.map(modifier => modifier.name), remaining => {
+            // The warning stays up for modifiers the virtual keyboard could not release
+            if (remaining.length > 0) {
+                console.warn(`${LOG_TAG} Modifiers still held after releasing: ${remaining.join(', ')}`);
+            }
+            this._scheduleStuckCheck();
+        });
+    }
+
+    _onStickyUpdate(latched, locked) {
+        this._stateTracker.updateStickyState(latched, locked);
+
+        if (this._settingsManager.osd.sticky) {
+            for (const item of this._settingsManager.symbols.modifiers) {
+                const sticky = this._stateTracker.getStickyChangeInfo(item.mask);
+                if (!sticky) continue;
+
+                const osd = this._settingsManager.osd;
+                this._showNotification(item, true, sticky === 'locked' ? osd.stateLocked : osd.stateLatched);
+            }
+        }
+
+        this._updatePanelIndicator();
+    }
+
+    _handleModifierNotifications() {
+        if (this._stateTracker.previousState === null) {
+            return; // Skip notifications on first run
         }
 
-        // Check for Scroll Lock changes
-        const scrollChange = this._stateTracker.getModifierChangeInfo(MODIFIER_MASKS.MOD3);
-        if (scrollChange) {
-            const message = scrollChange.isActive ? 'On' : 'Off';
-            this._showNotification(message, 'Scroll');
+        // Show OSD for modifiers whose osd mode covers the direction of the change
+        for (const item of this._settingsManager.symbols.modifiers) {
+            const change = this._stateTracker.getModifierChangeInfo(item.mask);
+            if (!change) continue;
+
+            const direction = change.isActive ? 'on' : 'off';
+            if (item.osd === 'both' || item.osd === direction) {
+                this._showNotification(item, change.isActive);
+            }
         }
     }
 
     _updatePanelIndicator() {
         const symbols = this._settingsManager.symbols;
-        // Collect active modifiers based on useIcon toggle
-        const activeItems = [];
+        const mode = this._settingsManager.panel.mode;
+
+        // Every enabled modifier keeps an actor; the panel mode decides which are shown
+        const panelItems = [];
         for (const item of symbols.modifiers) {
-            if (this._stateTracker.isModifierActive(item.mask)) {
-                if (item.useIcon && item.iconPath && item.iconPath.length > 0) {
-                    activeItems.push({ iconPath: item.iconPath });
-                } else {
-                    activeItems.push({ text: item.symbol });
-                }
-            }
+            if (!item.visible) continue;
+
+            const active = this._stateTracker.isModifierActive(item.mask);
+            const persistent = mode === 'all' || (mode === 'locks' && item.lock);
+            const useIcon = item.useIcon && item.iconPath && item.iconPath.length > 0;
+
+            panelItems.push({
+                name: item.name,
+                text: item.symbol,
+                iconPath: useIcon ? item.iconPath : '',
+                style: modifierStyle(item),
+                active,
+                sticky: this._stateTracker.getStickyState(item.mask),
+                shown: active || persistent,
+            });
+        }
+        this._panelIndicator.updateContent(panelItems);
+        this._panelIndicator.updateMenu(symbols.modifiers.map(item => ({
+            name: item.name,
+            active: this._stateTracker.isModifierActive(item.mask),
+        })));
+    }
+
+    _onSessionModeChanged() {
+        // No popup menu (and with it no preferences), no keystroke display, no D-Bus
+        // and no stuck-modifier warning with its key-injecting button while locked
+        this._panelIndicator.setMenuEnabled(!Main.sessionMode.isLocked);
+        this._dbusService.setPaused(Main.sessionMode.isLocked);
+        this._updateScreencast();
+        this._scheduleStuckCheck();
+    }
+
+    _updateScreencast() {
+        const config = this._settingsManager.screencast;
+        this._screencastManager.updateConfig(
+            { ...config, enabled: config.enabled && !Main.sessionMode.isLocked },
+            this._settingsManager.symbols.modifiers,
+            this._settingsManager.osd.hideTimeout);
+    }
+
+    /**
+     * Shows the current input source in the panel and, after a switch, in the OSD
+     */
+    _updateInputSource(switched) {
+        const config = this._settingsManager.inputSource;
+        const current = this._inputSourceTracker.getCurrentSource();
+        const source = current && {
+            name: current.name,
+            label: config.symbols[current.id] || current.shortName,
+            iconPath: config.icons[current.id] ?? '',
+        };
+
+        this._panelIndicator.updateInputSource(config.show ? source : null);
+        if (switched && config.osd && source) {
+            this._osdManager.showInputSource(source);
         }
-        this._panelIndicator.updateContent(activeItems);
     }
 
-    _showNotification(title, message) {
+    _showNotification(item, isActive, state = null) {
         try {
-            this._osdManager.show(title, message);
+            this._osdManager.showChange(item, isActive, state);
         } catch (error) {
             console.error(`${LOG_TAG} Error showing OSD notification: ${error}`);
         }
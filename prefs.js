@@ -5,11 +5,16 @@
  */
 
 import Gtk from 'gi://Gtk';
+import Gdk from 'gi://Gdk';
+import GObject from 'gi://GObject';
 import Adw from 'gi://Adw';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
+import Pango from 'gi://Pango';
 import { ExtensionPreferences, gettext as _ } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { MODIFIER_LABELS, modifierStyle, parseTemplate, symbolicIconPath } from './common.js';
+
 // Constants
 const LOG_TAG = 'KBD-Informer-Prefs:';
 
@@ -22,24 +27,317 @@ function modifierKeys(name) {
     return {
         symbol: `${name}-symbol`,
         icon: `${name}-icon-path`,
-        useIcon: `${name}-use-icon`
+        iconLight: `${name}-icon-path-light`,
+        iconDark: `${name}-icon-path-dark`,
+        useIcon: `${name}-use-icon`,
+        visible: `${name}-visible`,
+        osd: `${name}-osd`,
+        colors: [`${name}-foreground`, `${name}-background`, `${name}-badge`]
     };
 }
 
+// OSD anchor grid layout (row-major 3x3) with the icon shown on each toggle
+const OSD_POSITIONS = [
+    ['top-left', 'go-top-symbolic'], ['top', 'go-up-symbolic'], ['top-right', 'go-top-symbolic'],
+    ['left', 'go-previous-symbolic'], ['center', 'view-restore-symbolic'], ['right', 'go-next-symbolic'],
+    ['bottom-left', 'go-bottom-symbolic'], ['bottom', 'go-down-symbolic'], ['bottom-right', 'go-bottom-symbolic'],
+];
+
+// Monitor targeting choices for the osd-monitor key
+const OSD_MONITORS = ['all', 'primary', 'focused', 'pointer'];
+
+// Top panel boxes for the panel-box key
+const PANEL_BOXES = ['left', 'center', 'right'];
+
+// Display modes for the panel-mode key
+const PANEL_MODES = ['active', 'all', 'locks'];
+
+// Per-modifier OSD modes for the *-osd keys
+const OSD_MODES = ['none', 'on', 'off', 'both'];
+
+// Lock keys with separate on/off OSD icons (*-osd-icon-on, *-osd-icon-off)
+const LOCK_MODIFIERS = ['caps', 'num', 'scroll'];
+
 // Predefined symbol presets - initialized in getSymbolPresets()
 let SYMBOL_PRESETS = null;
 
+/**
+ * Builds a preset applying symbols, icon paths and use-icon flags together.
+ * symbols and icons are listed in MODIFIERS order; a modifier with an icon uses it.
+ */
+function createPreset(symbols, icons = []) {
+    const preset = {};
+    MODIFIERS.forEach((name, i) => {
+        const keys = modifierKeys(name);
+        preset[keys.symbol] = symbols[i];
+        preset[keys.icon] = icons[i] ?? '';
+        preset[keys.useIcon] = Boolean(icons[i]);
+    });
+    return preset;
+}
+
 function getSymbolPresets(settingsManager = null) {
     if (!SYMBOL_PRESETS) {
+        // Bundled symbolic icons shipped in the extension's icons/ directory
+        const iconsDir = settingsManager ? `${settingsManager._extension.path}/icons` : '';
+        const bundledIcons = iconsDir ? MODIFIERS.map(name => `${iconsDir}/kbd-${name}-symbolic.svg`) : [];
+
         SYMBOL_PRESETS = {
             modifiers: new Map([
-                [_('Symbols'), ['⇧', 'Caps', '⌃', '⎇', 'Num', '⇳', '❖', '⎈']]
+                [_('Symbols'), createPreset(['⇧', 'Caps', '⌃', '⎇', 'Num', '⇳', '❖', '⎈'])],
+                [_('macOS'), createPreset(['⇧', '⇪', '⌃', '⌥', '⇭', '⇳', '⌘', '⇮'])],
+                [_('Windows'), createPreset(['Shift', 'Caps', 'Ctrl', 'Alt', 'Num', 'Scroll', 'Win', 'AltGr'])],
+                [_('ASCII'), createPreset(['Sft', 'Cap', 'Ctl', 'Alt', 'Num', 'Scr', 'Sup', 'AGr'])],
+                [_('Emoji'), createPreset(['⬆️', '🔠', '🎛️', '🔀', '🔢', '📜', '🪟', '🌐'])],
             ])
         };
+
+        if (bundledIcons.length > 0) {
+            SYMBOL_PRESETS.modifiers.set(_('Icons'),
+                createPreset(['⇧', 'Caps', '⌃', '⌥', 'Num', '⇳', '⌘', '⇮'], bundledIcons));
+        }
     }
     return SYMBOL_PRESETS;
 }
 
+function createImageFilters() {
+    const svgFilter = new Gtk.FileFilter();
+    svgFilter.set_name('SVG');
+    svgFilter.add_suffix('svg');
+    svgFilter.add_mime_type('image/svg+xml');
+
+    const imgFilter = new Gtk.FileFilter();
+    imgFilter.set_name('Images');
+    imgFilter.add_mime_type('image/png');
+    imgFilter.add_mime_type('image/jpeg');
+    imgFilter.add_mime_type('image/webp');
+
+    return [svgFilter, imgFilter];
+}
+
+// GTK4: Use Gtk.FileDialog with a normal button instead of deprecated/non-existent FileChooserButton
+function createFilePickerButton(parentWindow, initialPath, title, onPicked, filters = null) {
+    const button = new Gtk.Button({
+        label: initialPath ? GLib.path_get_basename(initialPath) : _('Select file...'),
+    });
+
+    const updateLabel = (path) => {
+        button.label = path ? GLib.path_get_basename(path) : _('Select file...');
+    };
+    // expose for external updates when setting changes elsewhere
+    button._updateChosenPathLabel = updateLabel;
+
+    button.connect('clicked', () => {
+        const dialog = new Gtk.FileDialog({ title });
+        // نگه داشتن رفرنس تا پایان عملیات (جلوگیری از GC)
+        button._activeFileDialog = dialog;
+
+        // Filters: SVG and common raster images unless the caller passes its own (سازگار با GTK4: استفاده از Gio.ListStore)
+        const filtersStore = Gio.ListStore.new(Gtk.FileFilter.$gtype);
+        (filters ?? createImageFilters()).forEach(filter => filtersStore.append(filter));
+        dialog.set_filters(filtersStore);
+
+        // اگر مسیر اولیه موجود است، دایرکتوری شروع را ست کنیم
+        if (initialPath && GLib.file_test(initialPath, GLib.FileTest.EXISTS)) {
+            const folder = Gio.File.new_for_path(initialPath).get_parent();
+            if (folder) dialog.set_initial_folder(folder);
+        }
+
+        const parent = parentWindow instanceof Gtk.Window ? parentWindow : button.get_root();
+
+        // GNOME 46: Promise API
+        dialog.open(parent).then(file => {
+            const path = file ? file.get_path() : '';
+            onPicked(path || '');
+            updateLabel(path || '');
+            button._activeFileDialog = null;
+        }).catch(() => {
+            // cancel یا خطا؛ نادیده بگیر
+            button._activeFileDialog = null;
+        });
+    });
+
+    return button;
+}
+
+// Validation results per icon path; decoding an image is too slow to repeat on every preview refresh
+const iconValidationCache = new Map();
+
+/**
+ * Checks that an icon path, URI or themed icon name can be loaded.
+ * Returns a message describing the problem, or null when the icon is usable.
+ * Results are cached per path unless revalidate is set, e.g. after the user picked the path again.
+ */
+function validateIcon(iconPath, revalidate = false) {
+    if (!iconPath) return null;
+
+    if (revalidate || !iconValidationCache.has(iconPath)) {
+        iconValidationCache.set(iconPath, checkIcon(iconPath));
+    }
+    return iconValidationCache.get(iconPath);
+}
+
+function checkIcon(iconPath) {
+    const isPathLike = iconPath.startsWith('/') || iconPath.includes('://');
+    if (!isPathLike) {
+        const theme = Gtk.IconTheme.get_for_display(Gdk.Display.get_default());
+        return theme.has_icon(iconPath) ? null : _('Icon not found in the current icon theme');
+    }
+
+    const file = iconPath.startsWith('/') ? Gio.File.new_for_path(iconPath) : Gio.File.new_for_uri(iconPath);
+    if (!file.query_exists(null)) {
+        return _('File not found');
+    }
+
+    try {
+        Gdk.Texture.new_from_file(file);
+    } catch (error) {
+        console.debug(`${LOG_TAG} Cannot load icon ${iconPath}: ${error.message}`);
+        return _('Not a valid image');
+    }
+    return null;
+}
+
+/**
+ * Shows a searchable list of installed icon-theme names, with a fallback to picking an image file
+ */
+function showIconChooser(parentWindow, title, initialPath, onPicked) {
+    const dialog = new Adw.Window({
+        title,
+        transient_for: parentWindow,
+        modal: true,
+        default_width: 520,
+        default_height: 560,
+    });
+
+    const fileButton = Gtk.Button.new_with_label(_('Choose file…'));
+    fileButton.connect('clicked', () => {
+        const fileDialog = new Gtk.FileDialog({ title });
+        const filtersStore = Gio.ListStore.new(Gtk.FileFilter.$gtype);
+        createImageFilters().forEach(filter => filtersStore.append(filter));
+        fileDialog.set_filters(filtersStore);
+
+        if (initialPath.startsWith('/') && GLib.file_test(initialPath, GLib.FileTest.EXISTS)) {
+            const folder = Gio.File.new_for_path(initialPath).get_parent();
+            if (folder) fileDialog.set_initial_folder(folder);
+        }
+
+        fileDialog.open(dialog).then(file => {
+            const path = file ? file.get_path() : '';
+            if (path) {
+                onPicked(path);
+                dialog.close();
+            }
+        }).catch(() => {
+            // Cancelled
+        });
+    });
+
+    const headerBar = new Adw.HeaderBar();
+    headerBar.pack_start(fileButton);
+
+    const searchEntry = new Gtk.SearchEntry({
+        placeholder_text: _('Search icon names'),
+        margin_start: 12,
+        margin_end: 12,
+        margin_top: 6,
+        margin_bottom: 6,
+    });
+
+    // Icon names are matched against the search text as a substring
+    const iconTheme = Gtk.IconTheme.get_for_display(Gdk.Display.get_default());
+    const names = Gtk.StringList.new(iconTheme.get_icon_names().sort());
+    const filter = new Gtk.StringFilter({
+        expression: Gtk.PropertyExpression.new(Gtk.StringObject, null, 'string'),
+        match_mode: Gtk.StringFilterMatchMode.SUBSTRING,
+        ignore_case: true,
+    });
+    searchEntry.connect('search-changed', () => filter.set_search(searchEntry.text));
+
+    const factory = new Gtk.SignalListItemFactory();
+    factory.connect('setup', (_factory, listItem) => {
+        const box = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL, spacing: 4, margin_top: 6, margin_bottom: 6 });
+        box.append(new Gtk.Image({ pixel_size: 32 }));
+        box.append(new Gtk.Label({ ellipsize: Pango.EllipsizeMode.END, max_width_chars: 12 }));
+        listItem.child = box;
+    });
+    factory.connect('bind', (_factory, listItem) => {
+        const name = listItem.item.string;
+        const image = listItem.child.get_first_child();
+        image.icon_name = name;
+        image.tooltip_text = name;
+        image.get_next_sibling().label = name;
+    });
+
+    const gridView = new Gtk.GridView({
+        model: new Gtk.NoSelection({ model: new Gtk.FilterListModel({ model: names, filter }) }),
+        factory,
+        single_click_activate: true,
+        max_columns: 6,
+    });
+    gridView.connect('activate', (view, position) => {
+        onPicked(view.model.get_item(position).string);
+        dialog.close();
+    });
+
+    const content = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL });
+    content.append(headerBar);
+    content.append(searchEntry);
+    content.append(new Gtk.ScrolledWindow({ child: gridView, vexpand: true }));
+    dialog.content = content;
+
+    dialog.present();
+    searchEntry.grab_focus();
+}
+
+/**
+ * Button showing a thumbnail of the chosen icon; opens the icon chooser when clicked.
+ * Paths that fail validation are marked with an error state and a tooltip.
+ */
+function createIconPickerButton(parentWindow, initialPath, title, onPicked) {
+    const image = new Gtk.Image({ pixel_size: 16 });
+    const label = new Gtk.Label({ ellipsize: Pango.EllipsizeMode.END, max_width_chars: 20 });
+    const box = new Gtk.Box({ spacing: 6 });
+    box.append(image);
+    box.append(label);
+
+    const button = new Gtk.Button({ child: box });
+    let currentPath = initialPath;
+
+    const update = (path, revalidate = false) => {
+        currentPath = path;
+        const error = validateIcon(path, revalidate);
+        label.label = !path ? _('Select icon...') : path.startsWith('/') ? GLib.path_get_basename(path) : path;
+
+        if (error) {
+            image.icon_name = 'dialog-warning-symbolic';
+            button.add_css_class('error');
+            button.tooltip_text = `${path}\n${error}`;
+        } else {
+            if (path) {
+                image.gicon = Gio.icon_new_for_string(path);
+            } else {
+                image.icon_name = 'image-x-generic-symbolic';
+            }
+            button.remove_css_class('error');
+            button.tooltip_text = path;
+        }
+    };
+    // Same hook as createFilePickerButton, for updates made elsewhere
+    button._updateChosenPathLabel = update;
+    update(initialPath);
+
+    button.connect('clicked', () => {
+        const parent = parentWindow instanceof Gtk.Window ? parentWindow : button.get_root();
+        showIconChooser(parent, title, currentPath, (path) => {
+            update(path, true);
+            onPicked(path);
+        });
+    });
+
+    return button;
+}
+
 /**
  * Settings Manager - Handles GSettings operations and state tracking
  */
@@ -70,7 +368,8 @@ class SettingsManager {
             this.currentUseIcon[keys.useIcon] = this._settings.get_boolean(keys.useIcon);
         });
 
-        this.savedSymbols = this._settings.get_value('saved-symbols').deep_unpack();
+        this._migrateSavedSymbols();
+        this.loadUserPresets();
 
         console.debug(`${LOG_TAG} Current symbols: ${JSON.stringify(this.currentSymbols)}`);
         console.debug(`${LOG_TAG} Saved symbols: ${JSON.stringify(this.savedSymbols)}`);
@@ -100,13 +399,77 @@ class SettingsManager {
         this.currentUseIcon[key] = value;
     }
 
+    getValue(key) {
+        return key in this.currentUseIcon ? this.currentUseIcon[key] : this.currentSymbols[key];
+    }
+
     connect(signal, callback) {
         return this._settings.connect(signal, callback);
     }
 
+    bind(key, object, property) {
+        this._settings.bind(key, object, property, Gio.SettingsBindFlags.DEFAULT);
+    }
+
+    /**
+     * Moves the legacy single saved-symbols slot into a named user preset
+     */
+    _migrateSavedSymbols() {
+        const legacy = this._settings.get_value('saved-symbols').deep_unpack();
+        const presets = this._settings.get_value('user-presets').recursiveUnpack();
+        if (Object.keys(legacy).length === 0 || Object.keys(presets).length > 0) return;
+
+        const name = _('Saved');
+        console.debug(`${LOG_TAG} Migrating saved symbols into user preset ${name}`);
+        this._writeUserPresets({ [name]: legacy });
+        this._settings.set_string('active-user-preset', name);
+        this._settings.reset('saved-symbols');
+    }
+
+    loadUserPresets() {
+        this.userPresets = this._settings.get_value('user-presets').recursiveUnpack();
+        this.activeUserPreset = this._settings.get_string('active-user-preset');
+        this.savedSymbols = { ...(this.hasUserPreset(this.activeUserPreset) ? this.userPresets[this.activeUserPreset] : {}) };
+    }
+
+    hasUserPreset(name) {
+        return Object.hasOwn(this.userPresets, name);
+    }
+
+    _writeUserPresets(presets) {
+        const packed = Object.fromEntries(Object.entries(presets).map(([name, values]) => [
+            name,
+            Object.fromEntries(Object.entries(values).map(([key, value]) => [
+                key,
+                new GLib.Variant(typeof value === 'boolean' ? 'b' : 's', value),
+            ])),
+        ]));
+        this._settings.set_value('user-presets', new GLib.Variant('a{sa{sv}}', packed));
+    }
+
+    saveUserPreset(name, values) {
+        this.userPresets = { ...this.userPresets, [name]: { ...values } };
+        this._writeUserPresets(this.userPresets);
+    }
+
+    deleteUserPreset(name) {
+        const { [name]: _removed, ...remaining } = this.userPresets;
+        this.userPresets = remaining;
+        this._writeUserPresets(this.userPresets);
+        if (this.activeUserPreset === name) {
+            this.setActiveUserPreset('');
+        }
+    }
+
+    setActiveUserPreset(name) {
+        this.activeUserPreset = name;
+        this.savedSymbols = { ...(this.hasUserPreset(name) ? this.userPresets[name] : {}) };
+        this._settings.set_string('active-user-preset', name);
+    }
+
     setSavedSymbols(symbols) {
         this.savedSymbols = { ...symbols };
-        this._settings.set_value('saved-symbols', new GLib.Variant('a{ss}', this.savedSymbols));
+        this.saveUserPreset(this.activeUserPreset, this.savedSymbols);
     }
 
     symbolsEqual(obj1, obj2) {
@@ -119,9 +482,12 @@ class SettingsManager {
     }
 
     currentDiffersFromSaved(keys) {
-        return keys.some(key =>
-            this.currentSymbols[key] !== (this.savedSymbols[key] ?? '')
-        );
+        return keys.some(key => {
+            const current = this.getValue(key);
+            // Presets migrated from the legacy slot carry no use-icon flags
+            const fallback = typeof current === 'boolean' ? false : '';
+            return current !== (this.savedSymbols[key] ?? fallback);
+        });
     }
 }
 
@@ -137,7 +503,7 @@ class SimpleManager {
 
     isCurrentEqualToDefault() {
         return this.keys.every((key, i) =>
-            this.settingsManager.currentSymbols[key] === this.defaultValues[i]
+            this.settingsManager.getValue(key) === this.defaultValues[i]
         );
     }
 
@@ -145,21 +511,57 @@ class SimpleManager {
         return !this.settingsManager.currentDiffersFromSaved(this.keys);
     }
 
+    /**
+     * Schema defaults never count as unsaved, so first-time users are not asked to save them
+     */
+    hasUnsavedChanges() {
+        return !this.isCurrentEqualToDefault() && !this.isCurrentEqualToSaved();
+    }
+
     applyDefaults(entryManager) {
         console.debug(`${LOG_TAG} Applying defaults: ${this.defaultValues}`);
 
         this.keys.forEach((key, i) => {
             const value = this.defaultValues[i];
-            if (this.settingsManager.currentSymbols[key] !== value) {
+            if (this.settingsManager.getValue(key) === value) return;
+
+            if (typeof value === 'boolean') {
+                this.settingsManager.setBoolean(key, value);
+            } else {
                 entryManager.updateEntry(key, value);
                 this.settingsManager.setString(key, value);
             }
         });
     }
 
+    isCurrentEqualToPreset(preset) {
+        return Object.entries(preset).every(([key, value]) =>
+            this.settingsManager.getValue(key) === value
+        );
+    }
+
+    applyPreset(preset) {
+        console.debug(`${LOG_TAG} Applying preset: ${JSON.stringify(preset)}`);
+
+        // Setting changes propagate to entries, file buttons and switches via their changed:: handlers
+        Object.entries(preset).forEach(([key, value]) => {
+            if (this.settingsManager.getValue(key) === value) return;
+
+            if (typeof value === 'boolean') {
+                this.settingsManager.setBoolean(key, value);
+            } else {
+                this.settingsManager.setString(key, value);
+            }
+        });
+    }
+
+    getCurrentValues() {
+        return Object.fromEntries(this.keys.map(key => [key, this.settingsManager.getValue(key)]));
+    }
+
     saveCurrentAsPreset() {
         this.keys.forEach(key => {
-            this.settingsManager.savedSymbols[key] = this.settingsManager.currentSymbols[key];
+            this.settingsManager.savedSymbols[key] = this.settingsManager.getValue(key);
         });
 
         console.debug(`${LOG_TAG} Saving current symbols: ${JSON.stringify(this.settingsManager.savedSymbols)}`);
@@ -260,7 +662,122 @@ class DialogManager {
         dialog.show();
     }
 
-    static _createComparisonGrid(title, keys, settingsManager) {
+    static showNameDialog(window, heading, initialName, onConfirm) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading,
+        });
+
+        const entry = new Gtk.Entry({ text: initialName, activates_default: true });
+        dialog.set_extra_child(entry);
+
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('save', _('Save'));
+        dialog.set_response_appearance('save', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_default_response('save');
+        dialog.set_close_response('cancel');
+
+        const updateSensitivity = () => {
+            dialog.set_response_enabled('save', entry.text.trim().length > 0);
+        };
+        entry.connect('changed', updateSensitivity);
+        updateSensitivity();
+
+        dialog.connect('response', (_dialog, response) => {
+            if (response === 'save') {
+                onConfirm(entry.text.trim());
+            }
+            dialog.destroy();
+        });
+
+        dialog.show();
+    }
+
+    static showImportPreview(window, presets, keys, settingsManager, onConfirm) {
+        const names = Object.keys(presets);
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading: _('Import presets'),
+            body: `${_('Presets in the file:')} ${names.length}. ${_('Presets with the same name are replaced.')}`,
+        });
+
+        // One comparison grid per preset against the current configuration
+        const box = new Gtk.Box({ orientation: Gtk.Orientation.VERTICAL, spacing: 6 });
+        names.forEach(name => {
+            const existing = settingsManager.hasUserPreset(name) ? ` (${_('replaces existing')})` : '';
+            box.append(new Gtk.Label({ label: `${name}${existing}`, css_classes: ['title-4'] }));
+            const grid = DialogManager._createComparisonGrid(name, keys, settingsManager, presets[name], _('Imported'));
+            box.append(grid ?? new Gtk.Label({ label: _('Same as the current configuration') }));
+        });
+        dialog.set_extra_child(new Gtk.ScrolledWindow({
+            child: box,
+            propagate_natural_height: true,
+            max_content_height: 400,
+        }));
+
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('import', _('Import'));
+        dialog.set_response_appearance('import', Adw.ResponseAppearance.SUGGESTED);
+        dialog.set_default_response('cancel');
+        dialog.set_close_response('cancel');
+
+        dialog.connect('response', (_dialog, response) => {
+            if (response === 'import') {
+                onConfirm();
+            }
+            dialog.destroy();
+        });
+
+        dialog.show();
+    }
+
+    /**
+     * Asks before a destructive action such as overwriting or deleting a preset
+     */
+    static showDestructiveConfirmation(window, heading, body, actionLabel, onConfirm) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading,
+            body,
+        });
+        dialog.add_response('cancel', _('Cancel'));
+        dialog.add_response('confirm', actionLabel);
+        dialog.set_response_appearance('confirm', Adw.ResponseAppearance.DESTRUCTIVE);
+        dialog.set_default_response('cancel');
+        dialog.set_close_response('cancel');
+
+        dialog.connect('response', (_dialog, response) => {
+            if (response === 'confirm') {
+                onConfirm();
+            }
+            dialog.destroy();
+        });
+        dialog.show();
+    }
+
+    static showError(window, heading, body) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: window,
+            modal: true,
+            heading,
+            body,
+        });
+        dialog.add_response('close', _('Close'));
+        dialog.connect('response', () => dialog.destroy());
+        dialog.show();
+    }
+
+    static _formatValue(value) {
+        if (typeof value === 'boolean') {
+            return value ? _('Icon') : _('Text');
+        }
+        return value;
+    }
+
+    static _createComparisonGrid(title, keys, settingsManager, compared = settingsManager.savedSymbols, comparedTitle = _('Saved')) {
         const schema = settingsManager._schema;
         let hasChanges = false;
 
@@ -276,7 +793,7 @@ class DialogManager {
         });
 
         // Add headers
-        const headers = [title, _('Custom'), _('Saved')];
+        const headers = [title, _('Custom'), comparedTitle];
         headers.forEach((header, col) => {
             const label = new Gtk.Label({
                 label: header,
@@ -291,13 +808,13 @@ class DialogManager {
         // Add rows for different values
         let row = 1;
         keys.forEach(key => {
-            const current = settingsManager.currentSymbols[key] ?? '';
-            const saved = settingsManager.savedSymbols[key] ?? '';
+            const current = settingsManager.getValue(key) ?? '';
+            const saved = compared[key] ?? '';
 
             if (current !== saved) {
                 hasChanges = true;
                 const schemaKey = schema.get_key(key);
-                const cells = [_(schemaKey.get_summary()), current, saved];
+                const cells = [_(schemaKey.get_summary()), current, saved].map(DialogManager._formatValue);
 
                 cells.forEach((value, col) => {
                     const label = new Gtk.Label({
@@ -321,6 +838,99 @@ class DialogManager {
     }
 }
 
+// Version written to and accepted from exported preset files
+const PRESET_FILE_VERSION = 1;
+
+/**
+ * Preset File Manager - Exports and imports user presets as versioned JSON files
+ */
+class PresetFileManager {
+    static _createJsonFilters() {
+        const jsonFilter = new Gtk.FileFilter();
+        jsonFilter.set_name('JSON');
+        jsonFilter.add_suffix('json');
+        jsonFilter.add_mime_type('application/json');
+
+        const filtersStore = Gio.ListStore.new(Gtk.FileFilter.$gtype);
+        filtersStore.append(jsonFilter);
+        return filtersStore;
+    }
+
+    static exportPresets(window, presets) {
+        const dialog = new Gtk.FileDialog({
+            title: _('Export presets'),
+            initial_name: 'kbd-informer-presets.json',
+            filters: PresetFileManager._createJsonFilters(),
+        });
+
+        dialog.save(window).then(file => {
+            if (!file) return;
+
+            const data = JSON.stringify({ version: PRESET_FILE_VERSION, presets }, null, 2);
+            file.replace_contents(new TextEncoder().encode(data), null, false,
+                Gio.FileCreateFlags.REPLACE_DESTINATION, null);
+            console.debug(`${LOG_TAG} Exported ${Object.keys(presets).length} presets to ${file.get_path()}`);
+        }).catch(error => {
+            if (!error.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                DialogManager.showError(window, _('Export failed'), error.message);
+            }
+        });
+    }
+
+    static importPresets(window, keys, onLoaded) {
+        const dialog = new Gtk.FileDialog({
+            title: _('Import presets'),
+            filters: PresetFileManager._createJsonFilters(),
+        });
+
+        dialog.open(window).then(file => {
+            if (!file) return;
+
+            const [, contents] = file.load_contents(null);
+            const presets = PresetFileManager.validate(JSON.parse(new TextDecoder().decode(contents)), keys);
+            onLoaded(presets);
+        }).catch(error => {
+            if (!error.matches?.(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+                DialogManager.showError(window, _('Import failed'), error.message);
+            }
+        });
+    }
+
+    /**
+     * Checks the file version and every preset value against the known keys
+     * @returns {Object} presets keyed by name
+     */
+    static validate(data, keys) {
+        if (!data || typeof data !== 'object') {
+            throw new Error(_('The file does not contain a preset object.'));
+        }
+        if (data.version !== PRESET_FILE_VERSION) {
+            throw new Error(`${_('Unsupported preset file version:')} ${data.version}`);
+        }
+        if (!data.presets || typeof data.presets !== 'object' || Object.keys(data.presets).length === 0) {
+            throw new Error(_('The file contains no presets.'));
+        }
+
+        const booleanKeys = new Set(MODIFIERS.map(name => modifierKeys(name).useIcon));
+        Object.entries(data.presets).forEach(([name, values]) => {
+            if (!name.trim() || !values || typeof values !== 'object') {
+                throw new Error(`${_('Invalid preset:')} ${name}`);
+            }
+            Object.entries(values).forEach(([key, value]) => {
+                if (!keys.includes(key)) {
+                    throw new Error(`${_('Unknown setting in preset')} ${name}: ${key}`);
+                }
+                const expected = booleanKeys.has(key) ? 'boolean' : 'string';
+                if (typeof value !== expected) {
+                    throw new Error(`${_('Wrong value type in preset')} ${name}: ${key} (${expected})`);
+                }
+            });
+        });
+
+        return data.presets;
+    }
+}
+
 /**
  * Group Builder - Creates preference groups with simple reset and save buttons
  */
@@ -331,7 +941,7 @@ class GroupBuilder {
         this.parentWindow = parentWindow; // Adw.PreferencesWindow (Gtk.Window)
     }
 
-    createGroup(title, description, keys, defaultValues) {
+    createGroup(title, description, keys, defaultValues, presets = null) {
         console.debug(`${LOG_TAG} Creating group: ${title}`);
 
         const group = new Adw.PreferencesGroup({ title, description });
@@ -345,15 +955,172 @@ class GroupBuilder {
         // Setup button logic
         this._setupButtonLogic(resetButton, saveButton, entryManager, simpleManager);
 
+        // Create preset gallery
+        if (presets) {
+            group.add(this._createPresetGallery(presets, keys, simpleManager, () => {
+                this._updateButtonStates(resetButton, saveButton, simpleManager);
+            }));
+        }
+
         // Create entry rows
         this._createEntryRows(group, keys, entryManager, () => {
             this._updateButtonStates(resetButton, saveButton, simpleManager);
         });
 
         this.page.add(group);
+
+        // Named user presets share the same keys and unsaved-changes tracking
+        if (presets) {
+            this.page.add(this._createUserPresetsGroup(keys, simpleManager, () => {
+                this._updateButtonStates(resetButton, saveButton, simpleManager);
+            }));
+        }
+
         console.debug(`${LOG_TAG} Group created: ${title}`);
     }
 
+    _createUserPresetsGroup(keys, simpleManager, onPresetsChanged) {
+        const group = new Adw.PreferencesGroup({
+            title: _('My presets'),
+            description: _('Named presets including icon settings. Export them to share a configuration, import files from others.'),
+        });
+
+        const headerBox = new Gtk.Box({ spacing: 6 });
+        const addButton = (label, callback) => {
+            const button = Gtk.Button.new_with_label(label);
+            button.valign = Gtk.Align.CENTER;
+            button.connect('clicked', callback);
+            headerBox.append(button);
+            return button;
+        };
+
+        addButton(_('Save as…'), () => {
+            this._saveAsNewPreset(simpleManager, () => {});
+        });
+        addButton(_('Import…'), () => {
+            PresetFileManager.importPresets(this.parentWindow, keys, (presets) => {
+                DialogManager.showImportPreview(this.parentWindow, presets, keys, this.settingsManager, () => {
+                    Object.entries(presets).forEach(([name, values]) => {
+                        this.settingsManager.saveUserPreset(name, values);
+                    });
+                });
+            });
+        });
+        const exportButton = addButton(_('Export…'), () => {
+            PresetFileManager.exportPresets(this.parentWindow, this.settingsManager.userPresets);
+        });
+        group.set_header_suffix(headerBox);
+
+        const listBox = new Gtk.ListBox({ selection_mode: Gtk.SelectionMode.NONE });
+        listBox.add_css_class('boxed-list');
+        group.add(listBox);
+
+        const fillList = () => {
+            let child;
+            while ((child = listBox.get_first_child()) !== null) {
+                listBox.remove(child);
+            }
+
+            const names = Object.keys(this.settingsManager.userPresets).sort();
+            exportButton.sensitive = names.length > 0;
+            if (names.length === 0) {
+                listBox.append(new Adw.ActionRow({ title: _('No saved presets') }));
+                return;
+            }
+
+            names.forEach(name => {
+                listBox.append(this._createUserPresetRow(name, keys, simpleManager, onPresetsChanged));
+            });
+        };
+
+        // Keep list, saved values and buttons in sync with the stored presets
+        const onStoredPresetsChanged = () => {
+            this.settingsManager.loadUserPresets();
+            fillList();
+            onPresetsChanged();
+        };
+        this.settingsManager.connect('changed::user-presets', onStoredPresetsChanged);
+        this.settingsManager.connect('changed::active-user-preset', onStoredPresetsChanged);
+
+        fillList();
+        return group;
+    }
+
+    _createUserPresetRow(name, keys, simpleManager, onPresetApplied) {
+        const isActive = name === this.settingsManager.activeUserPreset;
+        const row = new Adw.ActionRow({
+            title: name,
+            subtitle: isActive ? _('Active – Save writes to this preset') : '',
+        });
+
+        const applyButton = new Gtk.Button({
+            icon_name: 'object-select-symbolic',
+            tooltip_text: _('Apply preset'),
+            valign: Gtk.Align.CENTER,
+        });
+        applyButton.connect('clicked', () => {
+            const preset = this.settingsManager.userPresets[name];
+            this._switchToPreset(name, preset, keys, simpleManager, () => {
+                this.settingsManager.setActiveUserPreset(name);
+                onPresetApplied();
+            });
+        });
+
+        const deleteButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            tooltip_text: _('Delete preset'),
+            valign: Gtk.Align.CENTER,
+        });
+        deleteButton.add_css_class('destructive-action');
+        deleteButton.connect('clicked', () => {
+            DialogManager.showDestructiveConfirmation(this.parentWindow,
+                _('Delete preset?'),
+                `${_('The preset will be removed:')} ${name}`,
+                _('Delete'),
+                () => this.settingsManager.deleteUserPreset(name));
+        });
+
+        row.add_suffix(applyButton);
+        row.add_suffix(deleteButton);
+        return row;
+    }
+
+    /**
+     * Saves the current values into the active user preset, asking for a name if there is none
+     */
+    _saveCurrent(simpleManager, onSaved) {
+        if (this.settingsManager.activeUserPreset) {
+            simpleManager.saveCurrentAsPreset();
+            onSaved();
+            return;
+        }
+
+        this._saveAsNewPreset(simpleManager, onSaved);
+    }
+
+    /**
+     * Asks for a preset name and saves the current values under it, confirming before replacing a preset
+     */
+    _saveAsNewPreset(simpleManager, onSaved) {
+        DialogManager.showNameDialog(this.parentWindow, _('Save preset'), '', (name) => {
+            const save = () => {
+                this.settingsManager.saveUserPreset(name, simpleManager.getCurrentValues());
+                this.settingsManager.setActiveUserPreset(name);
+                onSaved();
+            };
+
+            if (!this.settingsManager.hasUserPreset(name)) {
+                save();
+                return;
+            }
+            DialogManager.showDestructiveConfirmation(this.parentWindow,
+                _('Replace preset?'),
+                `${_('A preset with this name already exists:')} ${name}`,
+                _('Replace'),
+                save);
+        });
+    }
+
     _createControlButtons() {
         const headerBox = new Gtk.Box({ spacing: 6 });
 
@@ -386,33 +1153,94 @@ class GroupBuilder {
         // Handle save button
         saveButton.connect('clicked', () => {
             console.debug(`${LOG_TAG} Save button clicked`);
-            simpleManager.saveCurrentAsPreset();
-            updateButtonStates();
-        });
-
-        // Handle external changes to saved symbols
-        this.settingsManager.connect('changed::saved-symbols', () => {
-            console.debug(`${LOG_TAG} Saved symbols changed externally`);
-            const newSavedSymbols = this.settingsManager._settings.get_value('saved-symbols').deep_unpack();
-
-            if (!this.settingsManager.symbolsEqual(this.settingsManager.savedSymbols, newSavedSymbols)) {
-                this.settingsManager.savedSymbols = newSavedSymbols;
-                updateButtonStates();
-            }
+            this._saveCurrent(simpleManager, updateButtonStates);
         });
 
         // Initial update
         updateButtonStates();
     }
 
-    _updateButtonStates(resetButton, saveButton, simpleManager) {
-        const isDefault = simpleManager.isCurrentEqualToDefault();
-        const isSaved = simpleManager.isCurrentEqualToSaved();
+    _createPresetGallery(presets, keys, simpleManager, onPresetApplied) {
+        const flowBox = new Gtk.FlowBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            homogeneous: true,
+            max_children_per_line: 3,
+            column_spacing: 6,
+            row_spacing: 6,
+            margin_bottom: 12,
+        });
 
-        resetButton.sensitive = !isDefault;
-        saveButton.visible = !isSaved;
+        presets.forEach((preset, name) => {
+            const button = new Gtk.Button({ child: this._createPresetPreview(name, preset) });
+            button.connect('clicked', () => {
+                this._switchToPreset(name, preset, keys, simpleManager, onPresetApplied);
+            });
+            flowBox.append(button);
+        });
+
+        return flowBox;
+    }
+
+    _createPresetPreview(name, preset) {
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 4,
+            margin_top: 6,
+            margin_bottom: 6,
+        });
+        box.append(new Gtk.Label({ label: name, css_classes: ['heading'] }));
+
+        const symbolsBox = new Gtk.Box({ spacing: 6, halign: Gtk.Align.CENTER });
+        MODIFIERS.forEach(modifier => {
+            const keys = modifierKeys(modifier);
+            if (preset[keys.useIcon] && preset[keys.icon]) {
+                symbolsBox.append(new Gtk.Image({ gicon: Gio.icon_new_for_string(preset[keys.icon]) }));
+            } else {
+                symbolsBox.append(new Gtk.Label({ label: preset[keys.symbol] }));
+            }
+        });
+        box.append(symbolsBox);
+
+        return box;
+    }
+
+    _switchToPreset(name, preset, keys, simpleManager, onPresetApplied) {
+        if (simpleManager.isCurrentEqualToPreset(preset)) {
+            onPresetApplied();
+            return;
+        }
 
-        console.debug(`${LOG_TAG} Button states - Reset enabled: ${!isDefault}, Save visible: ${!isSaved}`);
+        const apply = () => {
+            simpleManager.applyPreset(preset);
+            onPresetApplied();
+        };
+
+        // Unsaved custom symbols go through the confirmation dialog first
+        if (!simpleManager.hasUnsavedChanges()) {
+            apply();
+            return;
+        }
+
+        DialogManager.showSwitchConfirmation(this.parentWindow, name, keys, this.settingsManager,
+            (save) => {
+                if (save) {
+                    this._saveCurrent(simpleManager, apply);
+                } else {
+                    apply();
+                }
+            },
+            () => console.debug(`${LOG_TAG} Switching to preset ${name} cancelled`)
+        );
+    }
+
+    _updateButtonStates(resetButton, saveButton, simpleManager) {
+        const isDefault = simpleManager.isCurrentEqualToDefault();
+        const hasUnsavedChanges = simpleManager.hasUnsavedChanges();
+
+        resetButton.sensitive = !isDefault;
+        saveButton.visible = hasUnsavedChanges;
+
+        console.debug(`${LOG_TAG} Button states - Reset enabled: ${!isDefault}, Save visible: ${hasUnsavedChanges}`);
     }
 
     _createEntryRows(group, keys, entryManager, onEntryChanged) {
@@ -431,64 +1259,8 @@ class GroupBuilder {
             // Create widgets
             const textEntry = new Gtk.Entry({ text: this.settingsManager.currentSymbols[keys.symbol] || '' });
 
-            // GTK4: Use Gtk.FileDialog with a normal button instead of deprecated/non-existent FileChooserButton
-            const createFilePickerButton = (initialPath, title, onPicked) => {
-                const button = new Gtk.Button({
-                    label: initialPath ? GLib.path_get_basename(initialPath) : _('Select file...'),
-                });
-
-                const updateLabel = (path) => {
-                    button.label = path ? GLib.path_get_basename(path) : _('Select file...');
-                };
-                // expose for external updates when setting changes elsewhere
-                button._updateChosenPathLabel = updateLabel;
-
-                button.connect('clicked', () => {
-                    const dialog = new Gtk.FileDialog({ title });
-                    // نگه داشتن رفرنس تا پایان عملیات (جلوگیری از GC)
-                    button._activeFileDialog = dialog;
-
-                    // Filters: SVG and common raster images (سازگار با GTK4: استفاده از Gio.ListStore)
-                    const svgFilter = new Gtk.FileFilter();
-                    svgFilter.set_name('SVG');
-                    svgFilter.add_suffix('svg');
-                    svgFilter.add_mime_type('image/svg+xml');
-
-                    const imgFilter = new Gtk.FileFilter();
-                    imgFilter.set_name('Images');
-                    imgFilter.add_mime_type('image/png');
-                    imgFilter.add_mime_type('image/jpeg');
-                    imgFilter.add_mime_type('image/webp');
-
-                    const filtersStore = Gio.ListStore.new(Gtk.FileFilter.$gtype);
-                    filtersStore.append(svgFilter);
-                    filtersStore.append(imgFilter);
-                    dialog.set_filters(filtersStore);
-
-                    // اگر مسیر اولیه موجود است، دایرکتوری شروع را ست کنیم
-                    if (initialPath && GLib.file_test(initialPath, GLib.FileTest.EXISTS)) {
-                        const folder = Gio.File.new_for_path(initialPath).get_parent();
-                        if (folder) dialog.set_initial_folder(folder);
-                    }
-
-                    const parent = this.parentWindow instanceof Gtk.Window ? this.parentWindow : button.get_root();
-
-                    // GNOME 46: Promise API
-                    dialog.open(parent).then(file => {
-                        const path = file ? file.get_path() : '';
-                        onPicked(path || '');
-                        updateLabel(path || '');
-                        button._activeFileDialog = null;
-                    }).catch(() => {
-                        // cancel یا خطا؛ نادیده بگیر
-                        button._activeFileDialog = null;
-                    });
-                });
-
-                return button;
-            };
-
-            const fileButton = createFilePickerButton(
+            const fileButton = createIconPickerButton(
+                this.parentWindow,
                 this.settingsManager.currentSymbols[keys.icon] || '',
                 _(schemaKeyIcon.get_summary()),
                 (newValue) => {
@@ -570,6 +1342,976 @@ class GroupBuilder {
     }
 }
 
+/**
+ * Page Builder - Shared row helpers for pages bound directly to GSettings keys
+ */
+class PageBuilder {
+    constructor(settingsManager, parentWindow) {
+        this.settingsManager = settingsManager;
+        this.parentWindow = parentWindow;
+    }
+
+    _createSpinRow(key, lower, upper, step) {
+        const schemaKey = this.settingsManager.getSchemaKey(key);
+        const row = Adw.SpinRow.new_with_range(lower, upper, step);
+        row.title = _(schemaKey.get_summary());
+        row.subtitle = _(schemaKey.get_description());
+        this.settingsManager.bind(key, row, 'value');
+        return row;
+    }
+
+    _createChoiceRow(key, values, labels) {
+        const schemaKey = this.settingsManager.getSchemaKey(key);
+        const settings = this.settingsManager._settings;
+        const row = new Adw.ComboRow({
+            title: _(schemaKey.get_summary()),
+            model: Gtk.StringList.new(labels),
+            selected: Math.max(0, values.indexOf(settings.get_string(key))),
+        });
+
+        row.connect('notify::selected', () => {
+            const value = values[row.selected];
+            if (value && settings.get_string(key) !== value) {
+                settings.set_string(key, value);
+            }
+        });
+
+        this.settingsManager.connect(`changed::${key}`, () => {
+            const index = values.indexOf(settings.get_string(key));
+            if (index >= 0 && row.selected !== index) {
+                row.selected = index;
+            }
+        });
+
+        return row;
+    }
+
+    _createIconPicker(key, label, clearTooltip) {
+        const settings = this.settingsManager._settings;
+        const box = new Gtk.Box({ spacing: 4, valign: Gtk.Align.CENTER });
+
+        const pickerButton = createIconPickerButton(
+            this.parentWindow,
+            settings.get_string(key),
+            _(this.settingsManager.getSchemaKey(key).get_summary()),
+            (path) => settings.set_string(key, path)
+        );
+
+        const clearButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: clearTooltip,
+            sensitive: settings.get_string(key) !== '',
+        });
+        clearButton.connect('clicked', () => settings.set_string(key, ''));
+
+        this.settingsManager.connect(`changed::${key}`, () => {
+            const path = settings.get_string(key);
+            pickerButton._updateChosenPathLabel(path);
+            clearButton.sensitive = path !== '';
+        });
+
+        box.append(new Gtk.Label({ label }));
+        box.append(pickerButton);
+        box.append(clearButton);
+        return box;
+    }
+}
+
+/**
+ * OSD Page Builder - Creates the page with OSD placement, timing and appearance
+ */
+class OsdPageBuilder extends PageBuilder {
+    build() {
+        const page = new Adw.PreferencesPage({
+            title: _('OSD'),
+            icon_name: 'preferences-desktop-display-symbolic',
+        });
+
+        page.add(this._createPlacementGroup());
+        page.add(this._createBehaviorGroup());
+        page.add(this._createTextGroup());
+        page.add(this._createNotificationsGroup());
+        page.add(this._createLockIconsGroup());
+        page.add(this._createScreencastGroup());
+
+        return page;
+    }
+
+    _createScreencastGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Screencast mode'),
+            description: _('Shows every key combination in the OSD while recording tutorials. Keys of other applications are read through the accessibility bus.'),
+        });
+
+        ['screencast-mode', 'screencast-hide-passwords'].forEach(key => {
+            const row = new Adw.SwitchRow({
+                title: _(this.settingsManager.getSchemaKey(key).get_summary()),
+                subtitle: _(this.settingsManager.getSchemaKey(key).get_description()),
+            });
+            this.settingsManager.bind(key, row, 'active');
+            group.add(row);
+        });
+
+        group.add(this._createSpinRow('screencast-history', 1, 20, 1));
+        group.add(this._createShortcutRow('screencast-shortcut'));
+
+        return group;
+    }
+
+    _createShortcutRow(key) {
+        const settings = this.settingsManager._settings;
+        const row = new Adw.ActionRow({
+            title: _(this.settingsManager.getSchemaKey(key).get_summary()),
+        });
+
+        const shortcutLabel = new Gtk.ShortcutLabel({
+            disabled_text: _('Disabled'),
+            valign: Gtk.Align.CENTER,
+        });
+        const syncLabel = () => {
+            shortcutLabel.accelerator = settings.get_strv(key)[0] ?? '';
+        };
+        syncLabel();
+        this.settingsManager.connect(`changed::${key}`, syncLabel);
+
+        const editButton = new Gtk.Button({
+            icon_name: 'document-edit-symbolic',
+            tooltip_text: _('Change shortcut'),
+            valign: Gtk.Align.CENTER,
+        });
+        editButton.connect('clicked', () => this._captureShortcut(key));
+
+        row.add_suffix(shortcutLabel);
+        row.add_suffix(editButton);
+        return row;
+    }
+
+    _captureShortcut(key) {
+        const dialog = new Adw.MessageDialog({
+            transient_for: this.parentWindow,
+            modal: true,
+            heading: _('Set shortcut'),
+            body: _('Press the new shortcut, Escape to cancel or Backspace to disable it.'),
+        });
+        dialog.add_response('cancel', _('Cancel'));
+
+        const controller = new Gtk.EventControllerKey();
+        controller.connect('key-pressed', (_controller, keyval, keycode, state) => {
+            const mask = state & Gtk.accelerator_get_default_mod_mask();
+
+            if (mask === 0 && keyval === Gdk.KEY_Escape) {
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+            if (mask === 0 && keyval === Gdk.KEY_BackSpace) {
+                this.settingsManager._settings.set_strv(key, []);
+                dialog.close();
+                return Gdk.EVENT_STOP;
+            }
+            // A key without Ctrl, Alt or Super would be taken away from typing everywhere;
+            // only function keys may be used on their own
+            const isFunctionKey = keyval >= Gdk.KEY_F1 && keyval <= Gdk.KEY_F35;
+            const hasModifier = (mask & ~Gdk.ModifierType.SHIFT_MASK) !== 0;
+            if (!Gtk.accelerator_valid(keyval, mask) || (!hasModifier && !isFunctionKey)) {
+                return Gdk.EVENT_STOP;
+            }
+
+            const accelerator = Gtk.accelerator_name_with_keycode(null, keyval, keycode, mask);
+            this.settingsManager._settings.set_strv(key, [accelerator]);
+            dialog.close();
+            return Gdk.EVENT_STOP;
+        });
+        dialog.add_controller(controller);
+        dialog.present();
+    }
+
+    _createPlacementGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Placement'),
+            description: _('Where the OSD appears on the monitor.'),
+        });
+
+        const positionRow = new Adw.ActionRow({ title: _('Position') });
+        positionRow.add_suffix(this._createPositionGrid());
+        group.add(positionRow);
+
+        group.add(this._createChoiceRow('osd-monitor', OSD_MONITORS, [
+            _('All monitors'),
+            _('Primary monitor'),
+            _('Monitor with the focused window'),
+            _('Monitor under the pointer'),
+        ]));
+
+        group.add(this._createSpinRow('osd-offset-x', -2000, 2000, 1));
+        group.add(this._createSpinRow('osd-offset-y', -2000, 2000, 1));
+
+        return group;
+    }
+
+    _createBehaviorGroup() {
+        const group = new Adw.PreferencesGroup({ title: _('Appearance') });
+
+        group.add(this._createSpinRow('osd-hide-timeout', 100, 10000, 100));
+        group.add(this._createSpinRow('osd-fade-time', 0, 2000, 10));
+
+        const scaleRow = this._createSpinRow('osd-scale', 0.5, 3.0, 0.1);
+        scaleRow.digits = 1;
+        group.add(scaleRow);
+
+        const iconRow = new Adw.SwitchRow({
+            title: _(this.settingsManager.getSchemaKey('osd-show-icon').get_summary()),
+        });
+        this.settingsManager.bind('osd-show-icon', iconRow, 'active');
+        group.add(iconRow);
+
+        group.add(this._createSpinRow('osd-icon-size', 8, 128, 1));
+        group.add(this._createSpinRow('osd-symbol-size', 8, 128, 1));
+        const fontRow = this._createSpinRow('osd-font-scale', 0.5, 3.0, 0.1);
+        fontRow.digits = 1;
+        group.add(fontRow);
+        group.add(this._createSpinRow('osd-spacing', 0, 64, 1));
+
+        return group;
+    }
+
+    _createTextGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Text'),
+            description: _('Use {symbol}, {name} and {state} as placeholders in the template.'),
+        });
+
+        ['osd-template', 'osd-state-on', 'osd-state-off', 'osd-state-latched', 'osd-state-locked'].forEach(key => {
+            const row = new Adw.EntryRow({
+                title: _(this.settingsManager.getSchemaKey(key).get_summary()),
+            });
+            this.settingsManager.bind(key, row, 'text');
+            group.add(row);
+        });
+
+        return group;
+    }
+
+    _createLockIconsGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Lock key icons'),
+            description: _('Icons shown in the OSD when a lock key turns on or off.'),
+        });
+
+        LOCK_MODIFIERS.forEach(name => {
+            const row = new Adw.ActionRow({
+                title: _(this.settingsManager.getSchemaKey(modifierKeys(name).symbol).get_summary()),
+            });
+            const box = new Gtk.Box({ orientation: Gtk.Orientation.HORIZONTAL, spacing: 8 });
+            box.append(this._createIconPicker(`${name}-osd-icon-on`, _('On'), _('Use the keyboard icon')));
+            box.append(this._createIconPicker(`${name}-osd-icon-off`, _('Off'), _('Use the keyboard icon')));
+            row.add_suffix(box);
+            group.add(row);
+        });
+
+        return group;
+    }
+
+    _createNotificationsGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Notifications'),
+            description: _('Which modifier changes show an OSD.'),
+        });
+
+        const labels = [_('Never'), _('When turned on'), _('When turned off'), _('On every change')];
+        MODIFIERS.forEach(name => {
+            const key = modifierKeys(name).osd;
+            if (!this.settingsManager.getSchemaKey(key)) {
+                console.warn(`${LOG_TAG} Schema missing OSD key for modifier: ${name}`);
+                return;
+            }
+            const row = this._createChoiceRow(key, OSD_MODES, labels);
+            row.title = _(this.settingsManager.getSchemaKey(modifierKeys(name).symbol).get_summary());
+            group.add(row);
+        });
+
+        const stickyRow = new Adw.SwitchRow({
+            title: _(this.settingsManager.getSchemaKey('sticky-keys-osd').get_summary()),
+            subtitle: _(this.settingsManager.getSchemaKey('sticky-keys-osd').get_description()),
+        });
+        this.settingsManager.bind('sticky-keys-osd', stickyRow, 'active');
+        group.add(stickyRow);
+
+        group.add(this._createSpinRow('stuck-modifier-timeout', 0, 600, 1));
+
+        const capsHintRow = new Adw.SwitchRow({
+            title: _(this.settingsManager.getSchemaKey('caps-lock-warning').get_summary()),
+            subtitle: _(this.settingsManager.getSchemaKey('caps-lock-warning').get_description()),
+        });
+        this.settingsManager.bind('caps-lock-warning', capsHintRow, 'active');
+        group.add(capsHintRow);
+
+        return group;
+    }
+
+    _createPositionGrid() {
+        const grid = new Gtk.Grid({
+            column_spacing: 4,
+            row_spacing: 4,
+            valign: Gtk.Align.CENTER,
+            margin_top: 6,
+            margin_bottom: 6,
+        });
+
+        const current = this.settingsManager._settings.get_string('osd-position');
+        const buttons = new Map();
+        let group = null;
+
+        OSD_POSITIONS.forEach(([position, iconName], i) => {
+            const button = new Gtk.ToggleButton({
+                icon_name: iconName,
+                tooltip_text: position,
+                active: position === current,
+            });
+            if (group) {
+                button.set_group(group);
+            } else {
+                group = button;
+            }
+
+            button.connect('toggled', () => {
+                if (button.active && this.settingsManager._settings.get_string('osd-position') !== position) {
+                    this.settingsManager._settings.set_string('osd-position', position);
+                }
+            });
+
+            buttons.set(position, button);
+            grid.attach(button, i % 3, Math.floor(i / 3), 1, 1);
+        });
+
+        // Keep the grid in sync with external changes
+        this.settingsManager.connect('changed::osd-position', () => {
+            const button = buttons.get(this.settingsManager._settings.get_string('osd-position'));
+            if (button && !button.active) {
+                button.active = true;
+            }
+        });
+
+        return grid;
+    }
+}
+
+/**
+ * Panel Page Builder - Creates the page with panel indicator settings
+ */
+class PanelPageBuilder extends PageBuilder {
+    build() {
+        const page = new Adw.PreferencesPage({
+            title: _('Panel'),
+            icon_name: 'view-app-grid-symbolic',
+        });
+
+        page.add(this._createPlacementGroup());
+        page.add(this._createDisplayGroup());
+        page.add(this._createSizeGroup());
+        page.add(this._createModifiersGroup());
+        page.add(this._createInputSourceGroup());
+
+        return page;
+    }
+
+    _createDisplayGroup() {
+        const group = new Adw.PreferencesGroup({ title: _('Display') });
+
+        const modeRow = this._createChoiceRow('panel-mode', PANEL_MODES, [
+            _('Only active modifiers'),
+            _('All modifiers, inactive dimmed'),
+            _('Lock keys always, others while held'),
+        ]);
+        modeRow.subtitle = _('Persistent modes keep the panel width stable.');
+        group.add(modeRow);
+
+        return group;
+    }
+
+    _createInputSourceGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Input source'),
+            description: _('Show the keyboard layout next to the modifiers. Each configured source can have its own label or icon.'),
+        });
+
+        ['input-source-show', 'input-source-osd'].forEach(key => {
+            const row = new Adw.SwitchRow({
+                title: _(this.settingsManager.getSchemaKey(key).get_summary()),
+                subtitle: _(this.settingsManager.getSchemaKey(key).get_description()),
+            });
+            this.settingsManager.bind(key, row, 'active');
+            group.add(row);
+        });
+
+        // Sources configured in GNOME Settings, as (type, id) pairs such as ('xkb', 'ir')
+        const sources = new Gio.Settings({ schema_id: 'org.gnome.desktop.input-sources' })
+            .get_value('sources').deep_unpack();
+        sources.forEach(([type, id]) => group.add(this._createInputSourceRow(`${type}:${id}`, id)));
+
+        return group;
+    }
+
+    _createInputSourceRow(sourceId, title) {
+        const settings = this.settingsManager._settings;
+        const row = new Adw.ActionRow({ title, subtitle: sourceId });
+        const box = new Gtk.Box({ spacing: 4, valign: Gtk.Align.CENTER });
+
+        const symbols = settings.get_value('input-source-symbols').deep_unpack();
+        const entry = new Gtk.Entry({
+            text: symbols[sourceId] ?? '',
+            placeholder_text: _('Short name'),
+            max_width_chars: 6,
+            tooltip_text: _(this.settingsManager.getSchemaKey('input-source-symbols').get_summary()),
+        });
+        // Stored when the entry is activated or loses focus, not on every keystroke
+        const commit = () => this._setInputSourceValue('input-source-symbols', sourceId, entry.text);
+        entry.connect('activate', commit);
+        const focusController = new Gtk.EventControllerFocus();
+        focusController.connect('leave', commit);
+        entry.add_controller(focusController);
+        this.parentWindow.connect('close-request', () => {
+            commit();
+            return false;
+        });
+
+        const icons = settings.get_value('input-source-icons').deep_unpack();
+        const pickerButton = createIconPickerButton(
+            this.parentWindow,
+            icons[sourceId] ?? '',
+            _(this.settingsManager.getSchemaKey('input-source-icons').get_summary()),
+            (path) => this._setInputSourceValue('input-source-icons', sourceId, path)
+        );
+
+        const clearButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: _('Use the label'),
+        });
+        clearButton.connect('clicked', () => {
+            this._setInputSourceValue('input-source-icons', sourceId, '');
+            pickerButton._updateChosenPathLabel('');
+        });
+
+        box.append(entry);
+        box.append(pickerButton);
+        box.append(clearButton);
+        row.add_suffix(box);
+        return row;
+    }
+
+    _setInputSourceValue(key, sourceId, value) {
+        const settings = this.settingsManager._settings;
+        const values = settings.get_value(key).deep_unpack();
+        if ((values[sourceId] ?? '') === value) return;
+
+        if (value) {
+            values[sourceId] = value;
+        } else {
+            delete values[sourceId];
+        }
+        settings.set_value(key, new GLib.Variant('a{ss}', values));
+    }
+
+    _createSizeGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Size'),
+            description: _('Sizes are in logical pixels and follow the display scale and the text scaling setting.'),
+        });
+
+        group.add(this._createSpinRow('panel-icon-size', 8, 64, 1));
+        const fontRow = this._createSpinRow('panel-font-scale', 0.5, 3.0, 0.1);
+        fontRow.digits = 1;
+        group.add(fontRow);
+        group.add(this._createSpinRow('panel-spacing', 0, 32, 1));
+
+        return group;
+    }
+
+    _createModifiersGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Modifiers'),
+            description: _('Drag rows to change the display order. Hidden modifiers are never shown in the panel.'),
+        });
+
+        this._orderList = new Gtk.ListBox({ selection_mode: Gtk.SelectionMode.NONE });
+        this._orderList.add_css_class('boxed-list');
+        group.add(this._orderList);
+
+        // Rows are created once; order changes only re-sort them
+        MODIFIERS.forEach(name => this._orderList.append(this._createOrderRow(name)));
+        this._orderList.set_sort_func((a, b) => this._order.indexOf(a.name) - this._order.indexOf(b.name));
+        this._updateOrder();
+        this.settingsManager.connect('changed::panel-order', () => this._updateOrder());
+
+        return group;
+    }
+
+    _getOrder() {
+        // Same normalization as the extension: unknown names dropped, missing ones appended
+        const order = this.settingsManager._settings.get_strv('panel-order')
+            .filter((name, i, list) => MODIFIERS.includes(name) && list.indexOf(name) === i);
+        return order.concat(MODIFIERS.filter(name => !order.includes(name)));
+    }
+
+    _updateOrder() {
+        this._order = this._getOrder();
+        this._orderList.invalidate_sort();
+    }
+
+    _createOrderRow(name) {
+        const keys = modifierKeys(name);
+        const row = new Adw.ActionRow({
+            name,
+            title: _(this.settingsManager.getSchemaKey(keys.symbol).get_summary()),
+        });
+        row.add_prefix(new Gtk.Image({ icon_name: 'list-drag-handle-symbolic' }));
+
+        const visibleSwitch = new Gtk.Switch({ valign: Gtk.Align.CENTER });
+        this.settingsManager.bind(keys.visible, visibleSwitch, 'active');
+        row.add_suffix(visibleSwitch);
+
+        // Drag source carries the modifier name
+        const dragSource = new Gtk.DragSource({ actions: Gdk.DragAction.MOVE });
+        dragSource.connect('prepare', () => Gdk.ContentProvider.new_for_value(name));
+        dragSource.connect('drag-begin', (source) => {
+            source.set_icon(new Gtk.WidgetPaintable({ widget: row }), 0, 0);
+        });
+        row.add_controller(dragSource);
+
+        // Dropping a modifier on a row moves it to that row's position
+        const dropTarget = Gtk.DropTarget.new(GObject.TYPE_STRING, Gdk.DragAction.MOVE);
+        dropTarget.connect('drop', (_target, draggedName) => {
+            if (draggedName === name) return false;
+
+            const current = this._getOrder();
+            const movingDown = current.indexOf(draggedName) < current.indexOf(name);
+            const order = current.filter(item => item !== draggedName);
+
+            // Moving down places the modifier after the target row, moving up before it
+            order.splice(order.indexOf(name) + (movingDown ? 1 : 0), 0, draggedName);
+            this.settingsManager._settings.set_strv('panel-order', order);
+            return true;
+        });
+        row.add_controller(dropTarget);
+
+        return row;
+    }
+
+    _createPlacementGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Placement'),
+            description: _('Where the indicator is placed in the top panel.'),
+        });
+
+        group.add(this._createChoiceRow('panel-box', PANEL_BOXES, [
+            _('Left'),
+            _('Center'),
+            _('Right'),
+        ]));
+        group.add(this._createSpinRow('panel-index', -1, 20, 1));
+
+        return group;
+    }
+}
+
+/**
+ * Theme Page Builder - Creates the page with per-modifier colors and the custom stylesheet
+ */
+class ThemePageBuilder extends PageBuilder {
+    build() {
+        const page = new Adw.PreferencesPage({
+            title: _('Theme'),
+            icon_name: 'applications-graphics-symbolic',
+        });
+
+        page.add(this._createColorsGroup());
+        page.add(this._createIconsGroup());
+        page.add(this._createStylesheetGroup());
+
+        return page;
+    }
+
+    _createColorsGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Colors'),
+            description: _('Text, background and badge colors of each modifier in the panel and OSD.'),
+        });
+
+        MODIFIERS.forEach(name => {
+            const keys = modifierKeys(name);
+            const row = new Adw.ActionRow({
+                title: _(this.settingsManager.getSchemaKey(keys.symbol).get_summary()),
+            });
+
+            const box = new Gtk.Box({ spacing: 6, valign: Gtk.Align.CENTER });
+            keys.colors.forEach(key => box.append(this._createColorButton(key)));
+
+            const clearButton = new Gtk.Button({
+                icon_name: 'edit-clear-symbolic',
+                tooltip_text: _('Use theme colors'),
+            });
+            clearButton.connect('clicked', () => {
+                keys.colors.forEach(key => this.settingsManager._settings.reset(key));
+            });
+            box.append(clearButton);
+
+            row.add_suffix(box);
+            group.add(row);
+        });
+
+        return group;
+    }
+
+    _createIconsGroup() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Icons'),
+            description: _('Icons used instead of the regular icon when the shell has a light or dark style.'),
+        });
+
+        const recolorRow = new Adw.SwitchRow({
+            title: _(this.settingsManager.getSchemaKey('recolor-icons').get_summary()),
+            subtitle: _(this.settingsManager.getSchemaKey('recolor-icons').get_description()),
+        });
+        this.settingsManager.bind('recolor-icons', recolorRow, 'active');
+        group.add(recolorRow);
+
+        MODIFIERS.forEach(name => {
+            const keys = modifierKeys(name);
+            const row = new Adw.ActionRow({
+                title: _(this.settingsManager.getSchemaKey(keys.symbol).get_summary()),
+            });
+
+            const box = new Gtk.Box({ spacing: 12, valign: Gtk.Align.CENTER });
+            box.append(this._createIconPicker(keys.iconLight, _('Light'), _('Use the regular icon')));
+            box.append(this._createIconPicker(keys.iconDark, _('Dark'), _('Use the regular icon')));
+            row.add_suffix(box);
+            group.add(row);
+        });
+
+        return group;
+    }
+
+    _createColorButton(key) {
+        const settings = this.settingsManager._settings;
+        const button = new Gtk.ColorDialogButton({
+            dialog: new Gtk.ColorDialog({ with_alpha: true }),
+            tooltip_text: _(this.settingsManager.getSchemaKey(key).get_summary()),
+        });
+
+        const syncFromSettings = () => {
+            const rgba = new Gdk.RGBA();
+            const value = settings.get_string(key);
+            // Empty means theme color; show it as fully transparent
+            if (!value || !rgba.parse(value)) {
+                rgba.parse('rgba(0, 0, 0, 0)');
+            }
+            if (!button.rgba.equal(rgba)) {
+                button.rgba = rgba;
+            }
+        };
+        syncFromSettings();
+
+        button.connect('notify::rgba', () => {
+            const value = button.rgba.alpha > 0 ? button.rgba.to_string() : '';
+            if (settings.get_string(key) !== value) {
+                settings.set_string(key, value);
+            }
+        });
+        this.settingsManager.connect(`changed::${key}`, syncFromSettings);
+
+        return button;
+    }
+
+    _createStylesheetGroup() {
+        const settings = this.settingsManager._settings;
+        const group = new Adw.PreferencesGroup({
+            title: _('Custom stylesheet'),
+            description: _('CSS file loaded into the shell theme and reloaded when it changes. Use classes such as .kbd-informer-caps to style a modifier.'),
+        });
+
+        const cssFilter = new Gtk.FileFilter();
+        cssFilter.set_name('CSS');
+        cssFilter.add_suffix('css');
+        cssFilter.add_mime_type('text/css');
+
+        const pickerButton = createFilePickerButton(
+            this.parentWindow,
+            settings.get_string('user-stylesheet'),
+            _(this.settingsManager.getSchemaKey('user-stylesheet').get_summary()),
+            (path) => settings.set_string('user-stylesheet', path),
+            [cssFilter]
+        );
+        pickerButton.valign = Gtk.Align.CENTER;
+
+        const clearButton = new Gtk.Button({
+            icon_name: 'edit-clear-symbolic',
+            tooltip_text: _('Remove custom stylesheet'),
+            valign: Gtk.Align.CENTER,
+            sensitive: settings.get_string('user-stylesheet') !== '',
+        });
+        clearButton.connect('clicked', () => settings.set_string('user-stylesheet', ''));
+
+        this.settingsManager.connect('changed::user-stylesheet', () => {
+            const path = settings.get_string('user-stylesheet');
+            pickerButton._updateChosenPathLabel(path);
+            clearButton.sensitive = path !== '';
+        });
+
+        const row = new Adw.ActionRow({
+            title: _(this.settingsManager.getSchemaKey('user-stylesheet').get_summary()),
+        });
+        row.add_suffix(pickerButton);
+        row.add_suffix(clearButton);
+        group.add(row);
+
+        return group;
+    }
+}
+
+// Dark top bar and OSD backgrounds for the preview widgets
+const PREVIEW_CSS = `
+.kbd-informer-preview-panel {
+    background-color: #000000;
+    color: #ffffff;
+    border-radius: 6px;
+    padding: 4px 10px;
+    min-height: 24px;
+}
+.kbd-informer-preview-panel .kbd-informer-inactive {
+    opacity: 0.35;
+}
+.kbd-informer-preview-osd {
+    background-color: rgba(30, 30, 30, 0.9);
+    color: #ffffff;
+    border-radius: 16px;
+    padding: 16px 24px;
+}
+`;
+
+/**
+ * Preview Builder - Renders a mock panel strip and OSD from the current settings
+ */
+class PreviewBuilder {
+    constructor(settingsManager, parentWindow) {
+        this.settingsManager = settingsManager;
+        this.parentWindow = parentWindow;
+        this._active = new Set();
+        this._lastChange = null;
+        this._refreshId = 0;
+    }
+
+    build() {
+        const group = new Adw.PreferencesGroup({
+            title: _('Preview'),
+            description: _('How the panel and the OSD look with the current settings. Toggle modifiers to simulate pressing them.'),
+        });
+
+        this._cssProvider = new Gtk.CssProvider();
+        Gtk.StyleContext.add_provider_for_display(Gdk.Display.get_default(),
+            this._cssProvider, Gtk.STYLE_PROVIDER_PRIORITY_APPLICATION);
+        this.parentWindow.connect('close-request', () => {
+            Gtk.StyleContext.remove_provider_for_display(Gdk.Display.get_default(), this._cssProvider);
+            if (this._refreshId) {
+                GLib.source_remove(this._refreshId);
+                this._refreshId = 0;
+            }
+            return false;
+        });
+
+        const box = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            spacing: 12,
+            margin_top: 12,
+            margin_bottom: 12,
+        });
+
+        this._panelBox = new Gtk.Box({ halign: Gtk.Align.CENTER, spacing: 0 });
+        this._panelBox.add_css_class('kbd-informer-preview-panel');
+        box.append(this._panelBox);
+
+        this._osdBox = new Gtk.Box({
+            orientation: Gtk.Orientation.VERTICAL,
+            halign: Gtk.Align.CENTER,
+            spacing: 8,
+        });
+        this._osdBox.add_css_class('kbd-informer-preview-osd');
+        box.append(this._osdBox);
+
+        box.append(this._createToggleButtons());
+        group.add(box);
+
+        // Every key can affect the preview; coalesce bursts such as preset switches
+        this.settingsManager.connect('changed', () => this._scheduleRefresh());
+        this._refresh();
+
+        return group;
+    }
+
+    _createToggleButtons() {
+        const flowBox = new Gtk.FlowBox({
+            selection_mode: Gtk.SelectionMode.NONE,
+            max_children_per_line: MODIFIERS.length,
+            homogeneous: true,
+        });
+
+        MODIFIERS.forEach(name => {
+            const keys = modifierKeys(name);
+            const button = new Gtk.ToggleButton({
+                label: _(this.settingsManager.getSchemaKey(keys.symbol).get_summary()),
+            });
+            button.connect('toggled', () => {
+                if (button.active) {
+                    this._active.add(name);
+                } else {
+                    this._active.delete(name);
+                }
+                this._lastChange = { name, isActive: button.active };
+                this._refresh();
+            });
+            flowBox.append(button);
+        });
+
+        return flowBox;
+    }
+
+    _scheduleRefresh() {
+        if (this._refreshId) return;
+
+        this._refreshId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._refreshId = 0;
+            this._refresh();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Resolves an icon the way the extension does on the dark top bar
+     */
+    _getIcon(key) {
+        const settings = this.settingsManager._settings;
+        const iconPath = settings.get_string(key);
+        // Broken icons fall back to the text symbol or keyboard icon
+        if (!iconPath || validateIcon(iconPath)) return '';
+        if (!settings.get_boolean('recolor-icons')) return iconPath;
+
+        const cacheDir = GLib.build_filenamev([GLib.get_user_cache_dir(), this.settingsManager._extension.uuid, 'symbolic-icons']);
+        return symbolicIconPath(iconPath, cacheDir);
+    }
+
+    _getItem(name) {
+        const settings = this.settingsManager._settings;
+        const keys = modifierKeys(name);
+        const iconPath = this._getIcon(keys.iconDark) || this._getIcon(keys.icon);
+        return {
+            name,
+            label: MODIFIER_LABELS[name],
+            symbol: settings.get_string(keys.symbol),
+            iconPath: settings.get_boolean(keys.useIcon) ? iconPath : '',
+            visible: settings.get_boolean(keys.visible),
+            lock: LOCK_MODIFIERS.includes(name),
+        };
+    }
+
+    _createSymbolWidget(item, iconSize) {
+        if (item.iconPath) {
+            return new Gtk.Image({
+                gicon: Gio.icon_new_for_string(item.iconPath),
+                pixel_size: iconSize,
+            });
+        }
+        return new Gtk.Label({ label: item.symbol });
+    }
+
+    _createCss() {
+        const rules = MODIFIERS.map(name => {
+            const [foreground, background, badge] = modifierKeys(name).colors
+                .map(key => this.settingsManager._settings.get_string(key));
+            const declarations = modifierStyle({ foreground, background, badge });
+            return declarations ? `.kbd-informer-preview-${name}.kbd-informer-styled { ${declarations} }` : '';
+        });
+        const settings = this.settingsManager._settings;
+        const sizes = `.kbd-informer-preview-panel { font-size: ${settings.get_double('panel-font-scale')}em; }\n` +
+            `.kbd-informer-preview-osd { font-size: ${settings.get_double('osd-font-scale') * settings.get_double('osd-scale')}em; }\n`;
+        return PREVIEW_CSS + sizes + rules.join('\n');
+    }
+
+    _refresh() {
+        const settings = this.settingsManager._settings;
+        this._cssProvider.load_from_string(this._createCss());
+
+        this._panelBox.spacing = settings.get_int('panel-spacing');
+        this._fillPanel(settings.get_strv('panel-order'), settings.get_string('panel-mode'),
+            settings.get_int('panel-icon-size'));
+        this._fillOsd(settings);
+    }
+
+    _fillPanel(order, mode, iconSize) {
+        let child;
+        while ((child = this._panelBox.get_first_child()) !== null) {
+            this._panelBox.remove(child);
+        }
+
+        // Same ordering rules as the extension: listed modifiers first, then the rest
+        const names = order.filter((name, i) => MODIFIERS.includes(name) && order.indexOf(name) === i)
+            .concat(MODIFIERS.filter(name => !order.includes(name)));
+
+        names.map(name => this._getItem(name)).forEach(item => {
+            if (!item.visible) return;
+
+            const active = this._active.has(item.name);
+            const persistent = mode === 'all' || (mode === 'locks' && item.lock);
+            if (!active && !persistent) return;
+
+            const widget = this._createSymbolWidget(item, iconSize);
+            widget.margin_start = 3;
+            widget.margin_end = 3;
+            widget.add_css_class(`kbd-informer-preview-${item.name}`);
+            // Colors apply to active modifiers only, as in the panel
+            widget.add_css_class(active ? 'kbd-informer-styled' : 'kbd-informer-inactive');
+            this._panelBox.append(widget);
+        });
+
+        if (!this._panelBox.get_first_child()) {
+            this._panelBox.append(new Gtk.Label({ label: _('No modifiers shown'), opacity: 0.5 }));
+        }
+    }
+
+    _fillOsd(settings) {
+        let child;
+        while ((child = this._osdBox.get_first_child()) !== null) {
+            this._osdBox.remove(child);
+        }
+
+        const change = this._lastChange ?? { name: 'caps', isActive: true };
+        const item = this._getItem(change.name);
+        const scale = settings.get_double('osd-scale');
+
+        if (settings.get_boolean('osd-show-icon')) {
+            const osdIcon = item.lock
+                ? this._getIcon(`${item.name}-osd-icon-${change.isActive ? 'on' : 'off'}`)
+                : '';
+            this._osdBox.append(new Gtk.Image({
+                gicon: Gio.icon_new_for_string(osdIcon || 'input-keyboard-symbolic'),
+                pixel_size: Math.round(settings.get_int('osd-icon-size') * scale),
+            }));
+        }
+
+        const entry = new Gtk.Box({ spacing: 6, halign: Gtk.Align.CENTER });
+        entry.add_css_class(`kbd-informer-preview-${item.name}`);
+        entry.add_css_class('kbd-informer-styled');
+
+        const segments = parseTemplate(settings.get_string('osd-template'), {
+            name: item.label,
+            state: settings.get_string(change.isActive ? 'osd-state-on' : 'osd-state-off'),
+        });
+        segments.forEach(segment => {
+            entry.append(segment.symbol
+                ? this._createSymbolWidget(item, Math.round(settings.get_int('osd-symbol-size') * scale))
+                : new Gtk.Label({ label: segment.text }));
+        });
+        this._osdBox.append(entry);
+    }
+}
+
 /**
  * Main Preferences Class
  */
@@ -580,13 +2322,20 @@ export default class KeyboardInformerPreferences extends ExtensionPreferences {
         this.settingsManager = new SettingsManager(this);
         this.settingsManager.initialize();
 
-        const page = new Adw.PreferencesPage();
+        const page = new Adw.PreferencesPage({
+            title: _('Symbols'),
+            icon_name: 'input-keyboard-symbolic',
+        });
+        page.add(new PreviewBuilder(this.settingsManager, window).build());
         const groupBuilder = new GroupBuilder(this.settingsManager, page, window);
 
         // Create preference groups
         this._createPreferenceGroups(groupBuilder);
 
         window.add(page);
+        window.add(new PanelPageBuilder(this.settingsManager, window).build());
+        window.add(new OsdPageBuilder(this.settingsManager, window).build());
+        window.add(new ThemePageBuilder(this.settingsManager, window).build());
         window.show();
 
         console.debug(`${LOG_TAG} Preferences window initialized`);
@@ -604,9 +2353,10 @@ export default class KeyboardInformerPreferences extends ExtensionPreferences {
 
         groupBuilder.createGroup(
             _('Symbols for modifier keys'),
-            _('Sets the symbols or icons displayed for modifier keys when they are pressed.'),
+            _('Sets the symbols or icons displayed for modifier keys when they are pressed. Pick a preset to switch all of them at once.'),
             keys,
-            symbolPresets.modifiers.get(_('Symbols'))
+            this.settingsManager.getSchemaDefaults(keys),
+            symbolPresets.modifiers
         );
     }
 }
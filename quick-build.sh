@@ -23,10 +23,12 @@ fi
 echo "Creating zip file..."
 zip -r "$ZIP_NAME" \
     extension.js \
+    common.js \
     metadata.json \
     prefs.js \
     stylesheet.css \
     schemas/ \
+    icons/ \
     -x "schemas/.git*" -x ".git*" -x "*.po" -x "*.pot" \
     > /dev/null
 